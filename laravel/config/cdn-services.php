@@ -13,6 +13,12 @@ return [
     'base_url' => env('CDN_SERVICES_BASE_URL', 'http://localhost:3012'),
     
     'token' => env('CDN_SERVICES_TOKEN', null),
+
+    // Must match URL_SIGNING_SECRET (or JWT_SECRET) of the CDN Services backend
+    'signing_secret' => env('CDN_SERVICES_SIGNING_SECRET', null),
+
+    // Default visibility of uploads (public | private)
+    'visibility' => env('CDN_SERVICES_VISIBILITY', 'public'),
     
     'disk' => env('CDN_SERVICES_DISK', 'local'),
     
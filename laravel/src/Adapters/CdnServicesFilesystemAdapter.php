@@ -75,18 +75,27 @@ class CdnServicesFilesystemAdapter implements Filesystem, Cloud
             $tempPath = stream_get_meta_data($tempFile)['uri'];
             file_put_contents($tempPath, $contents);
 
+            // Images go through the image API, everything else through /api/files
+            $mimeType = (new \finfo(FILEINFO_MIME_TYPE))->buffer($contents) ?: 'application/octet-stream';
+            $isImage = str_starts_with($mimeType, 'image/');
+
             // Upload to CDN Services
-            $response = $this->makeRequest('post', '/api/upload', [
+            $response = $this->makeRequest('post', $isImage ? '/api/upload' : '/api/files', [
                 'multipart' => [
                     [
-                        'name' => 'image',
+                        'name' => $isImage ? 'image' : 'file',
                         'contents' => fopen($tempPath, 'r'),
                         'filename' => basename($path),
+                        'headers' => ['Content-Type' => $mimeType],
                     ],
                     [
                         'name' => 'disk',
                         'contents' => $this->disk,
                     ],
+                    [
+                        'name' => 'visibility',
+                        'contents' => $this->visibilityFrom($options),
+                    ],
                 ],
             ]);
 
@@ -209,6 +218,40 @@ class CdnServicesFilesystemAdapter implements Filesystem, Cloud
         }
     }
 
+    /**
+     * Get the visibility of a file
+     */
+    public function getVisibility($path): string
+    {
+        try {
+            $response = $this->makeRequest('get', "/api/info/{$this->extractId($path)}");
+
+            if ($response->successful()) {
+                return $response->json('visibility', 'public');
+            }
+
+            return 'private';
+        } catch (\Exception $e) {
+            return 'private';
+        }
+    }
+
+    /**
+     * Set the visibility of a file (owner or admin token required)
+     */
+    public function setVisibility($path, $visibility): bool
+    {
+        try {
+            $response = $this->makeRequest('patch', "/api/image/{$this->extractId($path)}", [
+                'json' => ['visibility' => $visibility],
+            ]);
+
+            return $response->successful();
+        } catch (\Exception $e) {
+            return false;
+        }
+    }
+
     /**
      * Get a URL for the file
      */
@@ -227,6 +270,37 @@ class CdnServicesFilesystemAdapter implements Filesystem, Cloud
         return $this->url($path);
     }
 
+    /**
+     * Get a signed transformation URL
+     * Uses the same HMAC-SHA256 scheme as authService.signImageUrl() in the Node service
+     */
+    public function signedUrl($path, array $transform = [], $expiration = null): string
+    {
+        $urlPath = "/api/image/{$this->extractId($path)}";
+        $params = $transform;
+
+        if ($expiration !== null) {
+            $params['expires'] = $expiration instanceof \DateTimeInterface
+                ? $expiration->getTimestamp()
+                : time() + (int) $expiration;
+        }
+
+        ksort($params, SORT_STRING);
+
+        $query = implode('&', array_map(
+            fn ($key, $value) => rawurlencode((string) $key) . '=' . rawurlencode((string) $value),
+            array_keys($params),
+            $params
+        ));
+
+        $canonical = $query === '' ? $urlPath : "{$urlPath}?{$query}";
+        $signature = rtrim(strtr(base64_encode(
+            hash_hmac('sha256', $canonical, (string) ($this->config['signing_secret'] ?? ''), true)
+        ), '+/', '-_'), '=');
+
+        return $this->baseUrl . $canonical . ($query === '' ? '?' : '&') . 's=' . $signature;
+    }
+
     /**
      * Get a resource to read the file
      */
@@ -259,24 +333,15 @@ class CdnServicesFilesystemAdapter implements Filesystem, Cloud
      */
     public function files($directory = null, $recursive = false): array
     {
-        try {
-            $response = $this->makeRequest('get', '/api/images');
-            
-            if ($response->successful()) {
-                $data = $response->json();
-                $files = [];
-                
-                foreach ($data['images'] ?? [] as $image) {
-                    $files[] = $image['id'];
-                }
-                
-                return $files;
-            }
-            
-            return [];
-        } catch (\Exception $e) {
-            return [];
-        }
+        return $this->listing($directory, $recursive)['files'];
+    }
+
+    /**
+     * Get all files in a directory and its subdirectories
+     */
+    public function allFiles($directory = null): array
+    {
+        return $this->files($directory, true);
     }
 
     /**
@@ -284,8 +349,15 @@ class CdnServicesFilesystemAdapter implements Filesystem, Cloud
      */
     public function directories($directory = null, $recursive = false): array
     {
-        // CDN Services doesn't support directories yet
-        return [];
+        return $this->listing($directory, $recursive)['directories'];
+    }
+
+    /**
+     * Get all directories within a directory and its subdirectories
+     */
+    public function allDirectories($directory = null): array
+    {
+        return $this->directories($directory, true);
     }
 
     /**
@@ -293,17 +365,66 @@ class CdnServicesFilesystemAdapter implements Filesystem, Cloud
      */
     public function makeDirectory($path): bool
     {
-        // CDN Services doesn't support directories yet
+        // Directories exist through the files stored in them
         return true;
     }
 
     /**
      * Recursively delete a directory
+     * Files are deleted one by one so the CDN catalog stays in sync
      */
     public function deleteDirectory($directory): bool
     {
-        // CDN Services doesn't support directories yet
-        return true;
+        $deleted = true;
+
+        foreach ($this->allFiles($directory) as $path) {
+            $deleted = $this->delete($path) && $deleted;
+        }
+
+        return $deleted;
+    }
+
+    /**
+     * Collect every page of a storage listing (an admin token, or a folder inside the STORAGE_LIST_SCOPE of the user)
+     */
+    protected function listing($directory, bool $recursive): array
+    {
+        $files = [];
+        $directories = [];
+        $cursor = null;
+
+        try {
+            do {
+                $response = $this->makeRequest('get', "/api/storage/{$this->disk}", [
+                    'query' => array_filter([
+                        'directory' => $directory,
+                        'recursive' => $recursive ? '1' : null,
+                        'limit' => 1000,
+                        'cursor' => $cursor,
+                    ]),
+                ]);
+
+                if (!$response->successful()) {
+                    break;
+                }
+
+                $data = $response->json();
+
+                foreach ($data['files'] ?? [] as $file) {
+                    $files[] = $file['path'];
+                }
+
+                foreach ($data['directories'] ?? [] as $path) {
+                    $directories[$path] = $path;
+                }
+
+                $cursor = $data['cursor'] ?? null;
+            } while ($cursor);
+        } catch (\Exception $e) {
+            // Return what was listed so far
+        }
+
+        return ['files' => $files, 'directories' => array_values($directories)];
     }
 
     /**
@@ -327,6 +448,19 @@ class CdnServicesFilesystemAdapter implements Filesystem, Cloud
         return $request->send($method, $url, $options);
     }
 
+    /**
+     * Resolve the visibility of an upload from put() options
+     * Laravel passes either a visibility string or an options array
+     */
+    protected function visibilityFrom($options): string
+    {
+        if (is_string($options)) {
+            return $options;
+        }
+
+        return $options['visibility'] ?? $this->config['visibility'] ?? 'public';
+    }
+
     /**
      * Extract ID from path
      * If path is already an ID, return it. Otherwise, try to extract from path.
@@ -16,12 +16,17 @@ use Illuminate\Support\Facades\Facade;
  * @method static int size(string $path)
  * @method static int lastModified(string $path)
  * @method static string|null mimeType(string $path)
+ * @method static string getVisibility(string $path)
+ * @method static bool setVisibility(string $path, string $visibility)
  * @method static string url(string $path)
  * @method static string temporaryUrl(string $path, $expiration = null, array $options = [])
+ * @method static string signedUrl(string $path, array $transform = [], $expiration = null)
  * @method static resource|null readStream(string $path)
  * @method static bool writeStream(string $path, $resource, array $options = [])
  * @method static array files(string $directory = null, bool $recursive = false)
+ * @method static array allFiles(string $directory = null)
  * @method static array directories(string $directory = null, bool $recursive = false)
+ * @method static array allDirectories(string $directory = null)
  * @method static bool makeDirectory(string $path)
  * @method static bool deleteDirectory(string $directory)
  */
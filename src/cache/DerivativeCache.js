@@ -0,0 +1,285 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Derivative Cache
+ * Stores processed image variants keyed by `${imageId}/${variant}`
+ * Supports multiple cache drivers: local, disk, redis
+ */
+class DerivativeCache {
+    constructor(driver = 'local', config = {}) {
+        this.driver = driver;
+        this.config = config;
+        this.client = null;
+        this.hits = 0;
+        this.misses = 0;
+
+        this.initializeDriver();
+    }
+
+    initializeDriver() {
+        switch (this.driver) {
+            case 'local':
+                this.client = new LocalCacheDriver(this.config);
+                break;
+            case 'disk':
+                this.client = new DiskCacheDriver(this.config);
+                break;
+            case 'redis':
+                this.client = new RedisCacheDriver(this.config);
+                break;
+            default:
+                throw new Error(`Unsupported cache driver: ${this.driver}`);
+        }
+    }
+
+    /**
+     * Get a cached variant, or null on a miss
+     */
+    async get(key) {
+        const contents = await this.client.get(key);
+
+        if (contents) {
+            this.hits += 1;
+        } else {
+            this.misses += 1;
+        }
+
+        return contents;
+    }
+
+    /**
+     * Store a variant. Returns false if the driver declined to cache it
+     */
+    async put(key, contents, options = {}) {
+        return await this.client.put(key, contents, options);
+    }
+
+    /**
+     * Delete a cached variant
+     */
+    async delete(key) {
+        return await this.client.delete(key);
+    }
+
+    /**
+     * Hit/miss counters for the metrics endpoint
+     */
+    stats() {
+        return {
+            driver: this.driver,
+            hits: this.hits,
+            misses: this.misses,
+        };
+    }
+}
+
+/**
+ * Local Filesystem Cache Driver
+ * Least-recently-used eviction once the byte budget is exceeded
+ */
+class LocalCacheDriver {
+    constructor(config) {
+        this.directory = config.directory || path.join(process.cwd(), 'cache');
+        this.maxBytes = config.maxBytes || 0; // 0 = unlimited
+        this.entries = new Map(); // key -> size, least recently used first
+        this.totalBytes = 0;
+        this.ready = this.loadIndex();
+    }
+
+    getFullPath(key) {
+        return path.join(this.directory, key);
+    }
+
+    /**
+     * Rebuild the LRU index from the files already on disk
+     */
+    async loadIndex() {
+        await fs.mkdir(this.directory, { recursive: true });
+
+        const files = await this.scan(this.directory);
+        files.sort((a, b) => a.mtimeMs - b.mtimeMs);
+
+        for (const file of files) {
+            this.remember(file.key, file.size);
+        }
+
+        await this.evict();
+    }
+
+    async scan(dir) {
+        const entries = await fs.readdir(dir, { withFileTypes: true });
+        const files = [];
+
+        for (const entry of entries) {
+            const fullPath = path.join(dir, entry.name);
+
+            if (entry.isDirectory()) {
+                files.push(...await this.scan(fullPath));
+            } else {
+                const stats = await fs.stat(fullPath);
+                files.push({
+                    key: path.relative(this.directory, fullPath).split(path.sep).join('/'),
+                    size: stats.size,
+                    mtimeMs: stats.mtimeMs,
+                });
+            }
+        }
+
+        return files;
+    }
+
+    remember(key, size) {
+        this.forget(key);
+        this.entries.set(key, size);
+        this.totalBytes += size;
+    }
+
+    forget(key) {
+        if (this.entries.has(key)) {
+            this.totalBytes -= this.entries.get(key);
+            this.entries.delete(key);
+        }
+    }
+
+    async get(key) {
+        await this.ready;
+        const fullPath = this.getFullPath(key);
+
+        try {
+            const contents = await fs.readFile(fullPath);
+
+            // Mark as most recently used (mtime keeps the order across restarts)
+            this.remember(key, contents.length);
+            const now = new Date();
+            fs.utimes(fullPath, now, now).catch(() => {});
+
+            return contents;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                this.forget(key);
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async put(key, contents) {
+        await this.ready;
+        const fullPath = this.getFullPath(key);
+
+        await fs.mkdir(path.dirname(fullPath), { recursive: true });
+        await fs.writeFile(fullPath, contents);
+
+        this.remember(key, contents.length);
+        await this.evict();
+
+        return true;
+    }
+
+    async delete(key) {
+        await this.ready;
+        return await this.remove(key);
+    }
+
+    async remove(key) {
+        this.forget(key);
+
+        try {
+            await fs.unlink(this.getFullPath(key));
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    async evict() {
+        while (this.maxBytes && this.totalBytes > this.maxBytes && this.entries.size > 0) {
+            const [oldest] = this.entries.keys();
+            await this.remove(oldest);
+        }
+    }
+}
+
+/**
+ * Storage Disk Cache Driver
+ * Keeps variants on any StorageManager disk, e.g. a bucket shared by all replicas
+ */
+class DiskCacheDriver {
+    constructor(config) {
+        const storage = require('../storage/StorageManager');
+
+        this.disk = storage.disk(config.disk);
+        this.prefix = config.prefix || 'cache';
+    }
+
+    getPath(key) {
+        return `${this.prefix}/${key}`;
+    }
+
+    async get(key) {
+        try {
+            return await this.disk.get(this.getPath(key));
+        } catch {
+            return null;
+        }
+    }
+
+    async put(key, contents, options = {}) {
+        // Variants are only served through this service, which checks the image's visibility;
+        // left public they would be readable straight from the bucket, private images included
+        return await this.disk.put(this.getPath(key), contents, {
+            contentType: options.contentType,
+            acl: 'private',
+        });
+    }
+
+    async delete(key) {
+        return await this.disk.delete(this.getPath(key));
+    }
+}
+
+/**
+ * Redis Cache Driver
+ * Intended for small variants such as thumbnails; larger items are not cached
+ */
+class RedisCacheDriver {
+    constructor(config) {
+        this.client = require('../redis');
+        this.prefix = config.prefix || 'cdn:variant:';
+        this.ttl = config.ttl || 0;
+        this.maxItemSize = config.maxItemSize || 0; // 0 = unlimited
+    }
+
+    getKey(key) {
+        return `${this.prefix}${key}`;
+    }
+
+    async get(key) {
+        return await this.client.getBuffer(this.getKey(key));
+    }
+
+    async put(key, contents) {
+        if (this.maxItemSize && contents.length > this.maxItemSize) {
+            return false;
+        }
+
+        if (this.ttl) {
+            await this.client.set(this.getKey(key), contents, 'EX', this.ttl);
+        } else {
+            await this.client.set(this.getKey(key), contents);
+        }
+
+        return true;
+    }
+
+    async delete(key) {
+        const deleted = await this.client.del(this.getKey(key));
+        return deleted > 0;
+    }
+}
+
+module.exports = DerivativeCache;
@@ -0,0 +1,13 @@
+/**
+ * Derivative cache instance configured from `config.cache`
+ *
+ * Usage:
+ * const derivativeCache = require('./cache');
+ * const contents = await derivativeCache.get(`${id}/300x300_webp`);
+ */
+const DerivativeCache = require('./DerivativeCache');
+const config = require('../config');
+
+const driver = config.cache?.driver || 'local';
+
+module.exports = new DerivativeCache(driver, config.cache?.[driver] || {});
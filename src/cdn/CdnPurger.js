@@ -0,0 +1,113 @@
+/**
+ * CDN Purger
+ * Forwards cache purges to the CDN or reverse proxy in front of this service
+ * Supports multiple purge drivers: none, http, stub
+ *
+ * A purge request is `{ paths, tags }`: URL paths (a trailing `*` purges by
+ * prefix) and cache tags as sent in the `Cache-Tag` response header.
+ */
+class CdnPurger {
+    constructor(driver = 'none', config = {}) {
+        this.driver = driver;
+        this.config = config;
+        this.client = null;
+
+        this.initializeDriver();
+    }
+
+    initializeDriver() {
+        switch (this.driver) {
+            case 'none':
+                this.client = new NullPurgeDriver();
+                break;
+            case 'http':
+                this.client = new HttpPurgeDriver(this.config);
+                break;
+            case 'stub':
+                this.client = new StubPurgeDriver();
+                break;
+            default:
+                throw new Error(`Unsupported purge driver: ${this.driver}`);
+        }
+    }
+
+    /**
+     * Purge paths and tags upstream
+     */
+    async purge({ paths = [], tags = [] } = {}) {
+        if (paths.length === 0 && tags.length === 0) {
+            return true;
+        }
+
+        return await this.client.purge({ paths, tags });
+    }
+}
+
+/**
+ * No upstream cache; purges only affect the local derivative cache
+ */
+class NullPurgeDriver {
+    async purge() {
+        return true;
+    }
+}
+
+/**
+ * HTTP Purge Driver
+ * Sends one request per path (nginx `proxy_cache_purge`, Varnish PURGE) and
+ * one request carrying all tags in a header (Varnish xkey, tag-aware proxies)
+ */
+class HttpPurgeDriver {
+    constructor(config) {
+        if (!config.url) {
+            throw new Error('CDN_PURGE_URL is required for the http purge driver');
+        }
+
+        this.baseUrl = config.url.replace(/\/+$/, '');
+        this.method = config.method || 'PURGE';
+        this.tagHeader = config.tagHeader || 'Cache-Tag';
+        this.timeout = config.timeout || 5000;
+        this.headers = config.token ? { Authorization: `Bearer ${config.token}` } : {};
+    }
+
+    async purge({ paths, tags }) {
+        const requests = paths.map((urlPath) => this.send(urlPath));
+
+        if (tags.length > 0) {
+            requests.push(this.send('/', { [this.tagHeader]: tags.join(',') }));
+        }
+
+        await Promise.all(requests);
+        return true;
+    }
+
+    async send(urlPath, headers = {}) {
+        const response = await fetch(`${this.baseUrl}${urlPath}`, {
+            method: this.method,
+            headers: { ...this.headers, ...headers },
+            signal: AbortSignal.timeout(this.timeout),
+        });
+
+        // 404: nothing was cached under that key
+        if (!response.ok && response.status !== 404) {
+            throw new Error(`Upstream purge of ${urlPath} failed with status ${response.status}`);
+        }
+    }
+}
+
+/**
+ * Stub Purge Driver
+ * Records purges in memory instead of sending them, for tests and local development
+ */
+class StubPurgeDriver {
+    constructor() {
+        this.purges = [];
+    }
+
+    async purge(request) {
+        this.purges.push(request);
+        return true;
+    }
+}
+
+module.exports = CdnPurger;
@@ -0,0 +1,13 @@
+/**
+ * CDN purger instance configured from `config.cdn.purge`
+ *
+ * Usage:
+ * const cdnPurger = require('./cdn');
+ * await cdnPurger.purge({ paths: [`/api/image/${id}*`], tags: [`image:${id}`] });
+ */
+const CdnPurger = require('./CdnPurger');
+const config = require('../config');
+
+const driver = config.cdn?.purge?.driver || 'none';
+
+module.exports = new CdnPurger(driver, config.cdn?.purge?.[driver] || {});
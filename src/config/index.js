@@ -22,6 +22,7 @@ const envVarsSchema = Joi.object({
     JWT_EXPIRE: Joi.string().default('7d'),
     SESSION_SECRET: Joi.string().default('your-session-secret-change-in-production'),
     BCRYPT_ROUNDS: Joi.number().default(10),
+    URL_SIGNING_SECRET: Joi.string().description('HMAC secret for signed image URLs, defaults to JWT_SECRET'),
 
     // Database
     DATABASE_URL: Joi.string(),
@@ -66,6 +67,90 @@ const envVarsSchema = Joi.object({
     STORAGE_GCS_PROJECT_ID: Joi.string(),
     STORAGE_GCS_KEY_FILENAME: Joi.string(),
     STORAGE_GCS_URL: Joi.string(),
+    STORAGE_GCS_UNIFORM_ACCESS: Joi.boolean().default(false)
+        .description('The bucket uses uniform bucket-level access: objects are written without ACLs'),
+    STORAGE_DELIVERY: Joi.string()
+        .valid('proxy', 'redirect', 'temporary')
+        .default('proxy')
+        .description('How originals are served: proxied through this service or redirected to the disk URL'),
+    STORAGE_TEMPORARY_URL_TTL: Joi.number().default(3600),
+    STORAGE_VERSIONS: Joi.number().integer().min(0).default(10)
+        .description('Previous originals kept per image when it is replaced (0 = keep none)'),
+    STORAGE_LOCAL_VERSIONS: Joi.number().integer().min(0),
+    STORAGE_S3_VERSIONS: Joi.number().integer().min(0),
+    STORAGE_AZURE_VERSIONS: Joi.number().integer().min(0),
+    STORAGE_GCS_VERSIONS: Joi.number().integer().min(0),
+    STORAGE_PATH_TEMPLATE: Joi.string().default('{uuid}{ext}')
+        .description('Object key below images/ or files/, e.g. {tenant}/{yyyy}/{mm}/{slug}{ext}'),
+    STORAGE_LIST_SCOPE: Joi.string().allow('').default('')
+        .description('Folder non-admin users may list, e.g. images/{tenant}/{user}; empty: admins only'),
+    STORAGE_LOCAL_PATH_TEMPLATE: Joi.string(),
+    STORAGE_S3_PATH_TEMPLATE: Joi.string(),
+    STORAGE_AZURE_PATH_TEMPLATE: Joi.string(),
+    STORAGE_GCS_PATH_TEMPLATE: Joi.string(),
+
+    // Image processing
+    IMAGE_MAX_DIMENSION: Joi.number().integer().min(1).default(5000),
+    IMAGE_DEFAULT_QUALITY: Joi.number().integer().min(1).max(100).default(85),
+    IMAGE_SIGNATURE_MODE: Joi.string()
+        .valid('off', 'optional', 'enforce')
+        .default('off')
+        .description('enforce: unsigned transformations are only allowed through presets'),
+    IMAGE_DEFAULT_VISIBILITY: Joi.string().valid('public', 'private').default('public'),
+    IMAGE_ACCESS_TOKEN_TTL: Joi.number().integer().min(1).default(300)
+        .description('Lifetime in seconds of tokens issued for private images'),
+
+    // File uploads
+    FILES_MAX_SIZE: Joi.number().integer().min(1).default(500 * 1024 * 1024)
+        .description('Hard upper bound for any upload in bytes; per-type limits apply below it'),
+    FILES_ALLOWED_TYPES: Joi.string()
+        .pattern(/^\s*[\w.+*-]+\/[\w.+*-]+=\d+\s*(,\s*[\w.+*-]+\/[\w.+*-]+=\d+\s*)*$/)
+        .description('Comma separated mime=bytes pairs replacing the default allowlist, '
+            + 'e.g. "application/pdf=20971520,video/*=524288000"'),
+    FILES_BATCH_MAX_FILES: Joi.number().integer().min(1).default(50)
+        .description('Maximum number of files in one batch upload request'),
+
+    // Import from URL
+    REMOTE_FETCH_MAX_SIZE: Joi.number().integer().min(1).default(50 * 1024 * 1024)
+        .description('Largest remote file /api/upload/from-url downloads, in bytes'),
+    REMOTE_FETCH_TIMEOUT: Joi.number().integer().min(100).default(15000)
+        .description('Milliseconds a remote download may take, redirects included'),
+    REMOTE_FETCH_MAX_REDIRECTS: Joi.number().integer().min(0).default(3),
+    REMOTE_FETCH_ALLOWED_HOSTS: Joi.string().allow('').default('')
+        .description('Comma separated hosts exempt from the private address check, e.g. an internal asset server'),
+
+    // Resumable (tus) uploads
+    RESUMABLE_UPLOAD_DIR: Joi.string().default(path.join(__dirname, '../../uploads/tus')),
+    RESUMABLE_UPLOAD_EXPIRATION: Joi.number().integer().min(60).default(24 * 60 * 60)
+        .description('Seconds an unfinished upload is kept before its chunks are deleted'),
+
+    // Direct-to-storage uploads
+    DIRECT_UPLOAD_EXPIRATION: Joi.number().integer().min(60).default(60 * 60)
+        .description('Seconds an upload URL stays valid and an unfinished direct upload is kept'),
+    DIRECT_UPLOAD_WARM_PRESETS: Joi.string().allow('').default('thumbnail')
+        .description('Comma separated presets rendered in the background when a direct image upload is finalized'),
+
+    // Trash
+    TRASH_RETENTION_DAYS: Joi.number().integer().min(1).default(30)
+        .description('Days a deleted image can be restored before the purge job removes it'),
+
+    // Derivative cache
+    CACHE_DRIVER: Joi.string().valid('local', 'disk', 'redis').default('local'),
+    CACHE_LOCAL_DIR: Joi.string().default(path.join(__dirname, '../../cache')),
+    CACHE_LOCAL_MAX_BYTES: Joi.number().default(1024 * 1024 * 1024).description('LRU byte budget, 0 = unlimited'),
+    CACHE_DISK: Joi.string().description('Storage disk for the disk cache driver, defaults to STORAGE_DEFAULT'),
+    CACHE_DISK_PREFIX: Joi.string().default('cache'),
+    CACHE_REDIS_PREFIX: Joi.string().default('cdn:variant:'),
+    CACHE_REDIS_TTL: Joi.number().default(7 * 24 * 60 * 60),
+    CACHE_REDIS_MAX_ITEM_BYTES: Joi.number().default(256 * 1024),
+
+    // Upstream CDN / reverse proxy purging
+    CDN_PURGE_DRIVER: Joi.string().valid('none', 'http', 'stub').default('none'),
+    CDN_PURGE_URL: Joi.string().uri().description('Base URL purge requests are sent to, e.g. http://nginx'),
+    CDN_PURGE_METHOD: Joi.string().default('PURGE'),
+    CDN_PURGE_TAG_HEADER: Joi.string().default('Cache-Tag'),
+    CDN_PURGE_TOKEN: Joi.string().description('Sent as a bearer token with purge requests'),
+    CDN_PURGE_TIMEOUT: Joi.number().integer().min(1).default(5000),
 
     // Monitoring
     SENTRY_DSN: Joi.string(),
@@ -100,6 +185,14 @@ if (error) {
     throw new Error(`Config validation error: ${error.message}`);
 }
 
+// "type=bytes,type=bytes" -> { type: bytes }
+const parseAllowedTypes = (value) => Object.fromEntries(
+    value.split(',').map((pair) => {
+        const [type, bytes] = pair.trim().split('=');
+        return [type.toLowerCase(), Number(bytes)];
+    })
+);
+
 module.exports = {
     env: envVars.NODE_ENV,
     port: envVars.PORT,
@@ -116,6 +209,7 @@ module.exports = {
         jwtExpire: envVars.JWT_EXPIRE,
         sessionSecret: envVars.SESSION_SECRET,
         bcryptRounds: envVars.BCRYPT_ROUNDS,
+        urlSigningSecret: envVars.URL_SIGNING_SECRET || envVars.JWT_SECRET,
     },
 
     database: {
@@ -155,6 +249,109 @@ module.exports = {
         s3Bucket: envVars.S3_BUCKET,
     },
 
+    images: {
+        maxDimension: envVars.IMAGE_MAX_DIMENSION,
+        defaultQuality: envVars.IMAGE_DEFAULT_QUALITY,
+        signatureMode: envVars.IMAGE_SIGNATURE_MODE,
+        defaultVisibility: envVars.IMAGE_DEFAULT_VISIBILITY,
+        accessTokenTtl: envVars.IMAGE_ACCESS_TOKEN_TTL,
+
+        // Named transformations, served at /api/image/:id/preset/:name
+        // Keys follow the query API: w, h, fit, crop, q, format, dpr, effort, lossless, chroma
+        presets: {
+            thumbnail: { w: 150, h: 150, format: 'jpeg' },
+            small: { w: 300, h: 300, format: 'webp' },
+            medium: { w: 800, h: 800, format: 'webp' },
+            large: { w: 1920, h: 1080, format: 'webp' },
+            avatar: { w: 128, h: 128, fit: 'cover', crop: 'attention', format: 'webp', q: 80 },
+        },
+
+        // Default sharp encoder options per output format (overridable per request)
+        encoders: {
+            jpeg: {},
+            png: { compressionLevel: 8 },
+            webp: { effort: 4 },
+            gif: {},
+            avif: { effort: 4, chromaSubsampling: '4:2:0' },
+            heif: { compression: 'hevc', effort: 4 },
+            tiff: { compression: 'lzw' },
+            jxl: { effort: 7 },
+        },
+    },
+
+    files: {
+        maxSize: envVars.FILES_MAX_SIZE,
+        batchMaxFiles: envVars.FILES_BATCH_MAX_FILES,
+
+        // Accepted MIME types and their size limits in bytes ("group/*" matches a whole group)
+        types: envVars.FILES_ALLOWED_TYPES ? parseAllowedTypes(envVars.FILES_ALLOWED_TYPES) : {
+            'image/*': 50 * 1024 * 1024,
+            'application/pdf': 50 * 1024 * 1024,
+            'video/*': 500 * 1024 * 1024,
+            'audio/*': 100 * 1024 * 1024,
+            'font/*': 10 * 1024 * 1024,
+            'application/json': 5 * 1024 * 1024,
+            'application/manifest+json': 1024 * 1024,
+        },
+    },
+
+    remoteFetch: {
+        maxSize: envVars.REMOTE_FETCH_MAX_SIZE,
+        timeout: envVars.REMOTE_FETCH_TIMEOUT,
+        maxRedirects: envVars.REMOTE_FETCH_MAX_REDIRECTS,
+        allowedHosts: envVars.REMOTE_FETCH_ALLOWED_HOSTS
+            .split(',')
+            .map((host) => host.trim().toLowerCase())
+            .filter(Boolean),
+    },
+
+    resumable: {
+        directory: envVars.RESUMABLE_UPLOAD_DIR,
+        expiration: envVars.RESUMABLE_UPLOAD_EXPIRATION,
+    },
+
+    directUploads: {
+        expiration: envVars.DIRECT_UPLOAD_EXPIRATION,
+        warmPresets: envVars.DIRECT_UPLOAD_WARM_PRESETS
+            .split(',')
+            .map((name) => name.trim())
+            .filter(Boolean),
+    },
+
+    trash: {
+        retentionDays: envVars.TRASH_RETENTION_DAYS,
+    },
+
+    cache: {
+        driver: envVars.CACHE_DRIVER,
+        local: {
+            directory: envVars.CACHE_LOCAL_DIR,
+            maxBytes: envVars.CACHE_LOCAL_MAX_BYTES,
+        },
+        disk: {
+            disk: envVars.CACHE_DISK || envVars.STORAGE_DEFAULT,
+            prefix: envVars.CACHE_DISK_PREFIX,
+        },
+        redis: {
+            prefix: envVars.CACHE_REDIS_PREFIX,
+            ttl: envVars.CACHE_REDIS_TTL,
+            maxItemSize: envVars.CACHE_REDIS_MAX_ITEM_BYTES,
+        },
+    },
+
+    cdn: {
+        purge: {
+            driver: envVars.CDN_PURGE_DRIVER,
+            http: {
+                url: envVars.CDN_PURGE_URL,
+                method: envVars.CDN_PURGE_METHOD,
+                tagHeader: envVars.CDN_PURGE_TAG_HEADER,
+                token: envVars.CDN_PURGE_TOKEN,
+                timeout: envVars.CDN_PURGE_TIMEOUT,
+            },
+        },
+    },
+
     monitoring: {
         sentryDsn: envVars.SENTRY_DSN,
         newRelicKey: envVars.NEW_RELIC_LICENSE_KEY,
@@ -177,6 +374,14 @@ module.exports = {
 
     storage: {
         default: envVars.STORAGE_DEFAULT,
+        delivery: envVars.STORAGE_DELIVERY,
+        temporaryUrlTtl: envVars.STORAGE_TEMPORARY_URL_TTL,
+        // Disks without their own `versions` keep this many previous originals
+        versions: envVars.STORAGE_VERSIONS,
+        // Disks without their own `pathTemplate` name new objects with this template
+        pathTemplate: envVars.STORAGE_PATH_TEMPLATE,
+        // Folder non-admin users may list through /api/storage (e.g. images/{tenant}/{user}); empty: admins only
+        listScope: envVars.STORAGE_LIST_SCOPE,
         local: {
             root: envVars.STORAGE_LOCAL_ROOT,
             url: envVars.STORAGE_LOCAL_URL,
@@ -184,6 +389,8 @@ module.exports = {
         disks: {
             local: {
                 driver: 'local',
+                versions: envVars.STORAGE_LOCAL_VERSIONS,
+                pathTemplate: envVars.STORAGE_LOCAL_PATH_TEMPLATE,
                 config: {
                     root: envVars.STORAGE_LOCAL_ROOT,
                     url: envVars.STORAGE_LOCAL_URL,
@@ -192,6 +399,8 @@ module.exports = {
             ...(envVars.STORAGE_S3_BUCKET && {
                 s3: {
                     driver: 's3',
+                    versions: envVars.STORAGE_S3_VERSIONS,
+                    pathTemplate: envVars.STORAGE_S3_PATH_TEMPLATE,
                     config: {
                         bucket: envVars.STORAGE_S3_BUCKET,
                         region: envVars.STORAGE_S3_REGION,
@@ -206,6 +415,8 @@ module.exports = {
             ...(envVars.STORAGE_AZURE_CONNECTION_STRING && {
                 azure: {
                     driver: 'azure',
+                    versions: envVars.STORAGE_AZURE_VERSIONS,
+                    pathTemplate: envVars.STORAGE_AZURE_PATH_TEMPLATE,
                     config: {
                         container: envVars.STORAGE_AZURE_CONTAINER,
                         connectionString: envVars.STORAGE_AZURE_CONNECTION_STRING,
@@ -216,11 +427,14 @@ module.exports = {
             ...(envVars.STORAGE_GCS_BUCKET && {
                 gcs: {
                     driver: 'gcs',
+                    versions: envVars.STORAGE_GCS_VERSIONS,
+                    pathTemplate: envVars.STORAGE_GCS_PATH_TEMPLATE,
                     config: {
                         bucket: envVars.STORAGE_GCS_BUCKET,
                         projectId: envVars.STORAGE_GCS_PROJECT_ID,
                         keyFilename: envVars.STORAGE_GCS_KEY_FILENAME,
                         url: envVars.STORAGE_GCS_URL,
+                        uniformAccess: envVars.STORAGE_GCS_UNIFORM_ACCESS,
                     },
                 },
             }),
@@ -0,0 +1,21 @@
+/**
+ * Images catalog
+ * One row per uploaded original, pointing at the disk and path it was stored on
+ */
+exports.up = (knex) => knex.schema.createTable('images', (table) => {
+    table.string('id', 36).primary();
+    table.string('disk', 64).notNullable();
+    table.string('path', 1024).notNullable();
+    table.string('filename', 255).notNullable();
+    table.string('original_name', 255);
+    table.string('mimetype', 255);
+    table.bigInteger('size').unsigned().defaultTo(0);
+    table.integer('width').unsigned();
+    table.integer('height').unsigned();
+    table.string('owner_id', 255).index();
+    table.timestamps(true, true);
+
+    table.index(['created_at']);
+});
+
+exports.down = (knex) => knex.schema.dropTableIfExists('images');
@@ -0,0 +1,19 @@
+/**
+ * Image variants
+ * Registry of cached derivatives so every variant of an image can be found
+ * again, whichever cache driver holds it
+ */
+exports.up = (knex) => knex.schema.createTable('image_variants', (table) => {
+    table.increments('id').primary();
+    table.string('image_id', 36).notNullable()
+        .references('id').inTable('images')
+        .onDelete('CASCADE');
+    table.string('cache_key', 512).notNullable().unique();
+    table.string('content_type', 255);
+    table.bigInteger('size').unsigned().defaultTo(0);
+    table.timestamps(true, true);
+
+    table.index(['image_id']);
+});
+
+exports.down = (knex) => knex.schema.dropTableIfExists('image_variants');
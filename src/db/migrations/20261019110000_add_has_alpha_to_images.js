@@ -0,0 +1,11 @@
+/**
+ * Remember whether the original has an alpha channel so format
+ * negotiation can choose between JPEG and PNG without decoding it
+ */
+exports.up = (knex) => knex.schema.alterTable('images', (table) => {
+    table.boolean('has_alpha');
+});
+
+exports.down = (knex) => knex.schema.alterTable('images', (table) => {
+    table.dropColumn('has_alpha');
+});
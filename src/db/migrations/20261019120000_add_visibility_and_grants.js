@@ -0,0 +1,32 @@
+/**
+ * Image visibility and access grants
+ * Private images are only served to their owner, admins, users listed in
+ * `image_grants` or holders of a short-lived access token
+ */
+exports.up = async (knex) => {
+    await knex.schema.alterTable('images', (table) => {
+        table.string('visibility', 16).notNullable().defaultTo('public');
+        table.index(['visibility']);
+    });
+
+    await knex.schema.createTable('image_grants', (table) => {
+        table.increments('id').primary();
+        table.string('image_id', 36).notNullable()
+            .references('id').inTable('images')
+            .onDelete('CASCADE');
+        table.string('user_id', 255).notNullable();
+        table.string('granted_by', 255);
+        table.timestamps(true, true);
+
+        table.unique(['image_id', 'user_id']);
+        table.index(['user_id']);
+    });
+};
+
+exports.down = async (knex) => {
+    await knex.schema.dropTableIfExists('image_grants');
+    await knex.schema.alterTable('images', (table) => {
+        table.dropIndex(['visibility']);
+        table.dropColumn('visibility');
+    });
+};
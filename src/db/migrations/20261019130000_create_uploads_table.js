@@ -0,0 +1,20 @@
+/**
+ * Resumable uploads
+ * State of tus uploads whose chunks are staged on local disk until
+ * the last byte arrives and the file is moved to its storage disk
+ */
+exports.up = (knex) => knex.schema.createTable('uploads', (table) => {
+    table.string('id', 36).primary();
+    table.string('owner_id', 255);
+    table.bigInteger('upload_length').unsigned().notNullable();
+    table.bigInteger('upload_offset').unsigned().notNullable().defaultTo(0);
+    table.text('metadata');
+    table.string('file_id', 36);
+    table.timestamp('expires_at');
+    table.timestamps(true, true);
+
+    table.index(['owner_id']);
+    table.index(['expires_at']);
+});
+
+exports.down = (knex) => knex.schema.dropTableIfExists('uploads');
@@ -0,0 +1,23 @@
+/**
+ * Content hashes of originals and variants
+ * Served as strong ETags so clients and proxies can revalidate with 304s
+ */
+exports.up = async (knex) => {
+    await knex.schema.alterTable('images', (table) => {
+        table.string('etag', 64);
+    });
+
+    await knex.schema.alterTable('image_variants', (table) => {
+        table.string('etag', 64);
+    });
+};
+
+exports.down = async (knex) => {
+    await knex.schema.alterTable('image_variants', (table) => {
+        table.dropColumn('etag');
+    });
+
+    await knex.schema.alterTable('images', (table) => {
+        table.dropColumn('etag');
+    });
+};
@@ -0,0 +1,11 @@
+/**
+ * Cache tags of each variant (",image:<id>,preset:thumbnail,")
+ * so purges by preset or tag can find the variants to drop
+ */
+exports.up = (knex) => knex.schema.alterTable('image_variants', (table) => {
+    table.text('tags');
+});
+
+exports.down = (knex) => knex.schema.alterTable('image_variants', (table) => {
+    table.dropColumn('tags');
+});
@@ -0,0 +1,39 @@
+/**
+ * Image versions
+ * Replacing an image keeps its id; the current original stays in `images`
+ * with a bumped `version`, the ones it replaced are listed here
+ */
+exports.up = async (knex) => {
+    await knex.schema.alterTable('images', (table) => {
+        table.integer('version').unsigned().notNullable().defaultTo(1);
+    });
+
+    await knex.schema.createTable('image_versions', (table) => {
+        table.increments('id').primary();
+        table.string('image_id', 36).notNullable()
+            .references('id').inTable('images')
+            .onDelete('CASCADE');
+        table.integer('version').unsigned().notNullable();
+        table.string('disk', 64).notNullable();
+        table.string('path', 1024).notNullable();
+        table.string('filename', 255).notNullable();
+        table.string('original_name', 255);
+        table.string('mimetype', 255);
+        table.bigInteger('size').unsigned().defaultTo(0);
+        table.integer('width').unsigned();
+        table.integer('height').unsigned();
+        table.boolean('has_alpha');
+        table.string('etag', 64);
+        table.string('replaced_by', 255);
+        table.timestamps(true, true);
+
+        table.unique(['image_id', 'version']);
+    });
+};
+
+exports.down = async (knex) => {
+    await knex.schema.dropTableIfExists('image_versions');
+    await knex.schema.alterTable('images', (table) => {
+        table.dropColumn('version');
+    });
+};
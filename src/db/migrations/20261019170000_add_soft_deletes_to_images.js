@@ -0,0 +1,20 @@
+/**
+ * Soft deletes
+ * Deleted images stay in the catalog (and on their disk) with `deleted_at`
+ * set until the trash retention passes and the purge job removes them
+ */
+exports.up = async (knex) => {
+    await knex.schema.alterTable('images', (table) => {
+        table.timestamp('deleted_at');
+        table.string('deleted_by', 255);
+        table.index(['deleted_at']);
+    });
+};
+
+exports.down = async (knex) => {
+    await knex.schema.alterTable('images', (table) => {
+        table.dropIndex(['deleted_at']);
+        table.dropColumn('deleted_by');
+        table.dropColumn('deleted_at');
+    });
+};
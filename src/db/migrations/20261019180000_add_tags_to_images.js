@@ -0,0 +1,23 @@
+/**
+ * Image tags
+ * Free-form labels set on upload or PATCH, stored as ",a,b," so a single
+ * LIKE finds every image carrying a tag. Listing is keyset paginated, so
+ * the sort keys are indexed together with the id
+ */
+exports.up = async (knex) => {
+    await knex.schema.alterTable('images', (table) => {
+        table.text('tags');
+        table.index(['disk']);
+        table.index(['updated_at', 'id']);
+        table.index(['size', 'id']);
+    });
+};
+
+exports.down = async (knex) => {
+    await knex.schema.alterTable('images', (table) => {
+        table.dropIndex(['size', 'id']);
+        table.dropIndex(['updated_at', 'id']);
+        table.dropIndex(['disk']);
+        table.dropColumn('tags');
+    });
+};
@@ -0,0 +1,24 @@
+/**
+ * Direct uploads
+ * Uploads a client sends straight to a storage disk through a presigned URL;
+ * the row reserves the object path until the client finalizes the upload
+ */
+exports.up = (knex) => knex.schema.createTable('direct_uploads', (table) => {
+    table.string('id', 36).primary();
+    table.string('owner_id', 255);
+    table.string('disk', 64).notNullable();
+    table.string('path', 1024).notNullable();
+    table.string('original_name', 255);
+    table.string('mimetype', 255).notNullable();
+    table.bigInteger('size').unsigned().notNullable();
+    table.text('metadata');
+    table.timestamp('received_at');
+    table.string('file_id', 36);
+    table.timestamp('expires_at');
+    table.timestamps(true, true);
+
+    table.index(['owner_id']);
+    table.index(['expires_at']);
+});
+
+exports.down = (knex) => knex.schema.dropTableIfExists('direct_uploads');
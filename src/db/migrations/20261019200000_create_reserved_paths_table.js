@@ -0,0 +1,15 @@
+/**
+ * Reserved paths
+ * A row claims a storage path for the upload that is writing it; the
+ * primary key makes concurrent uploads of the same name pick different paths
+ */
+exports.up = (knex) => knex.schema.createTable('reserved_paths', (table) => {
+    table.string('disk', 64).notNullable();
+    table.string('path', 1024).notNullable();
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+
+    table.primary(['disk', 'path']);
+    table.index(['created_at']);
+});
+
+exports.down = (knex) => knex.schema.dropTableIfExists('reserved_paths');
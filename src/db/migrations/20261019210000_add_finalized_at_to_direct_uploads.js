@@ -0,0 +1,18 @@
+/**
+ * Direct upload finalization
+ * `file_id` is claimed when a finalize request starts; `finalized_at` tells
+ * a finished upload apart from one another request is still finalizing
+ */
+exports.up = async (knex) => {
+    await knex.schema.alterTable('direct_uploads', (table) => {
+        table.timestamp('finalized_at');
+    });
+
+    await knex('direct_uploads')
+        .whereNotNull('file_id')
+        .update({ finalized_at: knex.ref('updated_at') });
+};
+
+exports.down = (knex) => knex.schema.alterTable('direct_uploads', (table) => {
+    table.dropColumn('finalized_at');
+});
@@ -0,0 +1,19 @@
+/**
+ * Direct upload finalize claims
+ * `finalize_started_at` dates the claim of the request finalizing an upload,
+ * so a claim left by a request that died can be taken over or cleaned up
+ */
+exports.up = async (knex) => {
+    await knex.schema.alterTable('direct_uploads', (table) => {
+        table.timestamp('finalize_started_at');
+    });
+
+    await knex('direct_uploads')
+        .whereNotNull('file_id')
+        .whereNull('finalized_at')
+        .update({ finalize_started_at: knex.ref('updated_at') });
+};
+
+exports.down = (knex) => knex.schema.alterTable('direct_uploads', (table) => {
+    table.dropColumn('finalize_started_at');
+});
@@ -0,0 +1,12 @@
+/**
+ * Resumable upload locks
+ * `locked_at` is set while a request appends to an upload, so chunks sent to
+ * different replicas are written one at a time
+ */
+exports.up = (knex) => knex.schema.alterTable('uploads', (table) => {
+    table.timestamp('locked_at');
+});
+
+exports.down = (knex) => knex.schema.alterTable('uploads', (table) => {
+    table.dropColumn('locked_at');
+});
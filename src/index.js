@@ -2,28 +2,75 @@ const express = require('express');
 const multer = require('multer');
 const sharp = require('sharp');
 const path = require('path');
+const os = require('os');
 const fs = require('fs').promises;
+const { createReadStream, createWriteStream } = require('fs');
+const { Transform, pipeline: streamPipeline } = require('stream');
+const { pipeline } = require('stream/promises');
 const { v4: uuidv4 } = require('uuid');
 const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
 
 // Import auth middleware and storage
-const { authenticate, optionalAuth } = require('./middleware/auth');
+const { authenticate, optionalAuth, authorize } = require('./middleware/auth');
+const { verifySignedUrl } = require('./middleware/signedUrl');
+const {
+    contentHash, streamHash, setValidators, sendStream
+} = require('./middleware/conditional');
+const {
+    tusProtocol, loadUpload, setUploadHeaders, checkUploadOffset, sendUploadStatus, terminateUpload
+} = require('./middleware/tus');
+const { loadDirectUpload } = require('./middleware/directUpload');
+const {
+    isAdmin, ownsImage, loadImage, loadTrashedImage, canViewImage
+} = require('./middleware/imageAccess');
+const authService = require('./services/authService');
 const storage = require('./storage/StorageManager');
 const config = require('./config');
+const db = require('./db');
+const imageCatalog = require('./services/imageCatalog');
+const derivativeCache = require('./cache');
+const imageProcessor = require('./services/imageProcessor');
+const fileTypes = require('./services/fileTypes');
+const svgSanitizer = require('./services/svgSanitizer');
+const resumableUploads = require('./services/resumableUploads');
+const directUploads = require('./services/directUploads');
+const objectKeys = require('./services/objectKeys');
+const pathReservations = require('./services/pathReservations');
+const remoteFetcher = require('./services/remoteFetcher');
+const cachePurge = require('./services/cachePurge');
+const imageFiles = require('./services/imageFiles');
+const imageVersions = require('./services/imageVersions');
+const batchUploads = require('./services/batchUploads');
+const trash = require('./services/trash');
+
+// Görüntünün sahibi veya admin değilse 403 döner (loadImage'dan sonra kullanılır)
+const ownerOrAdmin = authorize('admin', ownsImage);
 
 const app = express();
 const PORT = process.env.PORT || 3012;
 
 console.log('Starting CDN Services with Image Processing...');
 
+// tus protokol header'ları (OPTIONS yanıtına da eklensin diye CORS'tan önce)
+app.use('/api/tus', tusProtocol);
+
 // CORS configuration - Tüm origin'lere izin ver
 app.use(cors({
     origin: true,
     credentials: true,
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+    methods: ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+    allowedHeaders: [
+        'Content-Type', 'Authorization', 'X-Requested-With',
+        'Tus-Resumable', 'Upload-Length', 'Upload-Offset', 'Upload-Metadata', 'X-HTTP-Method-Override',
+        'Range', 'If-Range', 'If-None-Match', 'If-Modified-Since'
+    ],
+    exposedHeaders: [
+        'Location', 'Tus-Resumable', 'Tus-Version', 'Tus-Extension', 'Tus-Max-Size',
+        'Upload-Length', 'Upload-Offset', 'Upload-Metadata', 'Upload-Expires', 'X-File-Id',
+        'ETag', 'Accept-Ranges', 'Content-Range', 'X-Cache'
+    ]
 }));
 
 // Helmet güvenlik ayarları
@@ -33,48 +80,621 @@ app.use(helmet({
 }));
 
 // Diğer middleware'ler
-app.use(compression());
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+app.use(compression({
+    // Byte aralıkları sıkıştırılmamış içeriğe göredir
+    filter: (req, res) => !res.getHeader('Content-Range') && compression.filter(req, res)
+}));
+// Gövde parser'ları, doğrudan upload PUT'u hariç: onun gövdesi (JSON veya form dahil) dosyanın kendisidir
+const parseBody = (parser) => (req, res, next) => (
+    req.method === 'PUT' && /^\/api\/upload\/direct\/[^/]+$/.test(req.path) ? next() : parser(req, res, next)
+);
+app.use(parseBody(express.json()));
+app.use(parseBody(express.urlencoded({ extended: true })));
+
+// Veritabanı şemasını güncelle (images kataloğu)
+db.migrate.latest()
+    .then(([, migrations]) => {
+        console.log(`Database migrations up to date (${migrations.length} applied)`);
+    })
+    .catch((error) => {
+        console.error('Database migration failed:', error);
+        process.exit(1);
+    });
+
+// Süresi dolan yarım kalmış resumable upload'ları saatte bir temizle
+setInterval(() => {
+    resumableUploads.cleanupExpired()
+        .then((count) => {
+            if (count > 0) {
+                console.log(`Expired resumable uploads removed: ${count}`);
+            }
+        })
+        .catch((error) => console.error('Resumable upload cleanup failed:', error));
+}, 60 * 60 * 1000).unref();
+
+// Süresi dolan, tamamlanmamış doğrudan upload'ları (ve yüklenmiş nesnelerini) saatte bir temizle
+setInterval(() => {
+    directUploads.cleanupExpired()
+        .then((count) => {
+            if (count > 0) {
+                console.log(`Expired direct uploads removed: ${count}`);
+            }
+        })
+        .catch((error) => console.error('Direct upload cleanup failed:', error));
+}, 60 * 60 * 1000).unref();
+
+// Yarıda kalan isteklerin bırakmadığı path rezervasyonlarını saatte bir temizle
+setInterval(() => {
+    pathReservations.cleanupStale()
+        .then((count) => {
+            if (count > 0) {
+                console.log(`Stale path reservations removed: ${count}`);
+            }
+        })
+        .catch((error) => console.error('Path reservation cleanup failed:', error));
+}, 60 * 60 * 1000).unref();
+
+// Çöp kutusunda saklama süresi dolan görüntüleri saatte bir kalıcı olarak sil
+setInterval(() => {
+    trash.purgeExpired()
+        .then((count) => {
+            if (count > 0) {
+                console.log(`Expired trashed images purged: ${count}`);
+            }
+        })
+        .catch((error) => console.error('Trash purge failed:', error));
+}, 60 * 60 * 1000).unref();
+
+// SVG yanıtları için CSP: script, dış kaynak ve form yok; yalnızca inline stil ve data: görseller
+const SVG_CSP = "default-src 'none'; style-src 'unsafe-inline'; img-src data:; sandbox";
+
+// Katalog kaydını API yanıtına dönüştür
+function serializeImage(image) {
+    return {
+        id: image.id,
+        originalName: image.originalName,
+        filename: image.filename,
+        path: image.path,
+        size: image.size,
+        mimetype: image.mimetype,
+        width: image.width,
+        height: image.height,
+        disk: image.disk,
+        visibility: image.visibility,
+        etag: image.etag,
+        version: image.version,
+        tags: image.tags,
+        uploadedBy: image.ownerId,
+        uploadedAt: image.createdAt,
+        updatedAt: image.updatedAt,
+        // Private objects have no public bucket URL
+        url: image.visibility === 'private' ? null : storage.disk(image.disk).url(image.path),
+        // Preset URL'leri yalnızca işlenebilen görüntüler için
+        urls: imageProcessor.canProcess(image.mimetype) ? {
+            original: `/api/image/${image.id}`,
+            ...Object.fromEntries(imageProcessor.presetNames().map((name) => [
+                name,
+                `/api/image/${image.id}/preset/${name}`
+            ]))
+        } : {
+            original: `/api/files/${image.id}`
+        }
+    };
+}
+
+// Orijinal dosyayı kaydedildiği disk'ten oku
+async function readOriginal(image) {
+    return await storage.disk(image.disk).get(image.path);
+}
+
+// Orijinalde alpha kanalı var mı (eski kayıtlar için metadata'dan doldur)
+async function hasAlpha(image) {
+    if (image.hasAlpha === null || image.hasAlpha === undefined) {
+        const metadata = await sharp(await readOriginal(image)).metadata();
+        await imageCatalog.update(image.id, { hasAlpha: Boolean(metadata.hasAlpha) });
+        return Boolean(metadata.hasAlpha);
+    }
+    return image.hasAlpha;
+}
+
+// Varyantı cache'ten veya işleyerek gönder
+// `preset`: varyant bir preset ile istendiyse adı (preset bazlı purge için)
+async function sendVariant(req, res, image, requested, preset = null) {
+    const options = { ...requested };
+
+    // format=auto: Accept header'a göre en iyi formatı seç
+    if (options.format === 'auto') {
+        options.format = imageProcessor.negotiateFormat(req.get('Accept'), await hasAlpha(image));
+        res.vary('Accept');
+    }
+
+    const cacheKey = imageProcessor.variantKey(image.id, options);
+    const contentType = imageProcessor.contentType(options.format);
+    const tags = cachePurge.tagsFor(image, preset);
+
+    res.set('Content-Type', contentType);
+    res.set('Cache-Tag', tags.join(','));
+    res.set('Cache-Control', cacheControl(image, 31536000)); // 1 yıl cache
+
+    // Kayıtlı varyantın hash'i biliniyorsa içeriği okumadan 304 dön
+    const variant = await imageCatalog.findVariant(cacheKey);
+
+    if (variant && variant.etag) {
+        setValidators(res, variant.etag, variant.updatedAt);
+        if (req.fresh) {
+            res.set('X-Cache', 'HIT');
+            return res.status(304).end();
+        }
+    }
+
+    // Cache'te var mı kontrol et
+    const cached = await derivativeCache.get(cacheKey);
+
+    if (cached) {
+        console.log(`Serving from cache: ${cacheKey}`);
+        if (!variant || !variant.etag) {
+            setValidators(res, contentHash(cached));
+        }
+        res.set('X-Cache', 'HIT');
+        return res.send(cached);
+    }
+
+    // Görüntüyü işle
+    const { buffer, etag } = await renderVariant(image, options, tags);
+
+    // res.send If-None-Match'i bu ETag'e göre kendisi değerlendirir
+    setValidators(res, etag, new Date());
+    res.set('X-Cache', 'MISS');
+    res.send(buffer);
+}
+
+// Varyantı işle, cache'e kaydet ve kataloğa ekle
+// `original`: orijinalin içeriği elde varsa (verilmezse disk'ten okunur)
+async function renderVariant(image, options, tags, original = null) {
+    const cacheKey = imageProcessor.variantKey(image.id, options);
+    const contentType = imageProcessor.contentType(options.format);
+
+    console.log(`Processing image: ${cacheKey}`);
+    const processed = await imageProcessor.process(original || await readOriginal(image), options);
+    const etag = contentHash(processed.buffer);
+
+    if (await derivativeCache.put(cacheKey, processed.buffer, { contentType })) {
+        await imageCatalog.recordVariant(image.id, cacheKey, {
+            size: processed.buffer.length,
+            contentType,
+            etag,
+            tags
+        });
+    }
+
+    return { buffer: processed.buffer, etag };
+}
+
+// Preset varyantlarını ilk istekten önce üret (cache'te olanlar atlanır)
+async function warmPresets(image, names) {
+    if (!imageProcessor.canProcess(image.mimetype)) {
+        return 0;
+    }
+
+    let original = null;
+    let rendered = 0;
+
+    for (const name of names) {
+        const preset = imageProcessor.preset(name);
+
+        // Bilinmeyen preset'ler ve Accept'e göre seçilen formatlar önceden üretilemez
+        if (!preset || preset.fm === 'auto') {
+            continue;
+        }
+
+        const options = imageProcessor.parseTransform(preset);
+        if (await derivativeCache.get(imageProcessor.variantKey(image.id, options))) {
+            continue;
+        }
+
+        original = original || await readOriginal(image);
+        await renderVariant(image, options, cachePurge.tagsFor(image, name), original);
+        rendered += 1;
+    }
+
+    return rendered;
+}
+
+// Orijinalin ETag'i (hash'i olmayan eski kayıtlar için bir kez hesaplanıp saklanır)
+async function originalEtag(image) {
+    if (image.etag) {
+        return image.etag;
+    }
+
+    const etag = await streamHash(await storage.disk(image.disk).readStream(image.path));
+    await imageCatalog.update(image.id, { etag });
+    return etag;
+}
+
+// Private görüntüler paylaşılan cache'lerde tutulmaz
+function cacheControl(image, maxAge) {
+    if (image.visibility === 'private') {
+        return `private, max-age=${Math.min(maxAge, config.images.accessTokenTtl)}`;
+    }
+    return `public, max-age=${maxAge}`;
+}
+
+// Bucket'a yazılacak ACL
+function storageAcl(visibility) {
+    return visibility === 'private' ? 'private' : 'public-read';
+}
+
+// Upload/güncelleme isteğindeki görünürlüğü doğrula
+function parseVisibility(value, fallback) {
+    if (value === undefined || value === '') {
+        return fallback;
+    }
+    if (!['public', 'private'].includes(value)) {
+        const error = new Error('visibility must be one of [public, private]');
+        error.status = 400;
+        throw error;
+    }
+    return value;
+}
+
+// Orijinali gönder (yönlendirme modunda bucket URL'ine, aksi halde proxy)
+async function sendOriginal(req, res, image) {
+    const mode = ['proxy', 'redirect', 'temporary'].includes(req.query.delivery)
+        ? req.query.delivery
+        : config.storage.delivery;
+    const redirectUrl = await deliveryUrl(image, mode);
+
+    if (redirectUrl) {
+        return res.redirect(302, redirectUrl);
+    }
 
-// Dizinleri oluştur
-const UPLOAD_DIR = path.join(__dirname, '../uploads');
-const CACHE_DIR = path.join(__dirname, '../cache');
+    const disk = storage.disk(image.disk);
+    const [etag, lastModified] = await Promise.all([
+        originalEtag(image),
+        disk.lastModified(image.path)
+    ]);
+
+    setValidators(res, etag, new Date(lastModified * 1000));
+    res.set('Cache-Tag', cachePurge.tagsFor(image).join(','));
+    res.set('Content-Type', image.mimetype || 'application/octet-stream');
+    if (image.mimetype === 'image/svg+xml') {
+        // Temizlenmemiş eski SVG'ler dahil, CDN domain'inde script çalışmasın
+        res.set('Content-Security-Policy', SVG_CSP);
+        res.set('X-Content-Type-Options', 'nosniff');
+    }
+    if (image.visibility === 'private') {
+        res.set('Cache-Control', cacheControl(image, 0));
+    }
+
+    // If-None-Match / If-Modified-Since ve Range, belleğe almadan disk'ten akıtılır
+    await sendStream(req, res, disk, image.path, image.size);
+}
+
+// Dönüşüm route'ları yalnızca sharp'ın okuyabildiği görüntüler için
+function requireImage(req, res, next) {
+    if (!imageProcessor.canProcess(req.image.mimetype)) {
+        return res.status(415).json({
+            error: 'Unsupported Media Type',
+            message: 'Transformations are only available for images'
+        });
+    }
+    next();
+}
+
+// Görüntüyü yükle, erişimi kontrol et ve dönüştürülebilir olmayan dosyaları reddet
+const transformableImage = [loadImage, canViewImage, requireImage];
+
+// Geçici dosyadaki içeriği disk'e yaz
+// SVG'ler temizlenerek yazılır; dönen boyut, hash ve ölçüler yazılan içeriğe aittir
+// `stored`: içerik disk'e doğrudan yüklendi, yalnızca temizlenen SVG'ler yeniden yazılır
+async function writeOriginal(disk, filePath, pending, type, visibility, { stored = false } = {}) {
+    const options = {
+        contentType: type.mimetype,
+        acl: storageAcl(visibility)
+    };
+    let source = pending.path;
+    let { size } = pending;
+    let etag;
+
+    if (type.mimetype === 'image/svg+xml') {
+        // SVG'leri script, event handler ve dış referanslardan temizle
+        source = svgSanitizer.sanitize(await fs.readFile(pending.path));
+        size = source.length;
+        etag = contentHash(source);
+        await disk.put(filePath, source, options);
+    } else {
+        // Diğer dosyalar belleğe alınmadan disk'e akıtılır
+        etag = await streamHash(createReadStream(pending.path));
+        if (!stored) {
+            await disk.writeStream(filePath, createReadStream(pending.path), options);
+        }
+    }
+
+    // Boyutları oku (görüntü olmayan veya okunamayan dosyalarda boş bırak)
+    const dimensions = imageProcessor.canProcess(type.mimetype)
+        ? await sharp(source).metadata().catch(() => ({}))
+        : {};
+
+    return {
+        size,
+        etag,
+        width: dimensions.width,
+        height: dimensions.height,
+        hasAlpha: dimensions.hasAlpha
+    };
+}
+
+// Path'i bu upload için ayır: önce rezervasyon satırı eklenir, ardından disk ve doğrudan upload'lar kontrol edilir
+// Aynı path'i aynı anda isteyen upload'lardan yalnızca birinin eklemesi başarılı olur
+async function reservePath(diskName, filePath) {
+    if (!(await pathReservations.reserve(diskName, filePath))) {
+        return false;
+    }
+
+    const taken = await storage.disk(diskName).exists(filePath)
+        || await directUploads.isReserved(diskName, filePath);
+
+    if (taken) {
+        await pathReservations.release(diskName, filePath);
+        return false;
+    }
+    return true;
+}
+
+// Yeni dosyanın path'i: `<directory>/<folder>/<şablon>`
+// Şablon istekten (`path`) ya da disk'in ayarından gelir; dolu path'lere sonek eklenir.
+// Dönen path ayrılmıştır, dosya yazılıp kataloğa eklenince pathReservations.release ile bırakılmalı
+async function uploadPath(diskName, directory, pending, id, extension) {
+    return await objectKeys.resolve((key) => reservePath(diskName, key), {
+        directory,
+        folder: pending.folder,
+        template: objectKeys.parseTemplate(pending.pathTemplate) || objectKeys.templateFor(diskName),
+        uuid: id,
+        ext: extension,
+        originalName: pending.originalName,
+        tenant: pending.tenant,
+        ownerId: pending.ownerId
+    });
+}
+
+// İstekteki klasör ve path şablonunu dosyalar saklanmadan önce doğrula (eksik {tenant} dahil)
+// `fields`: { folder, path } (varsayılan istek gövdesi, tus'ta Upload-Metadata)
+function checkUploadPath(req, diskName, fields = req.body) {
+    const template = objectKeys.parseTemplate(fields.path) || objectKeys.templateFor(diskName);
+
+    objectKeys.parseFolder(fields.folder);
+    objectKeys.render(template, {
+        uuid: uuidv4(),
+        ext: '.bin',
+        originalName: 'file',
+        tenant: req.user?.tenant,
+        ownerId: req.userId
+    });
+}
+
+// Yüklenen dosyayı disk'e yaz ve kataloğa kaydet
+// `pending`: { path, size, originalName, disk, folder, pathTemplate, tenant, visibility, tags, ownerId }
+// (içerik geçici dosyada; `id` verilirse katalog kaydı bu id ile oluşturulur)
+// `type`: içerikten tespit edilen { mimetype, extension } (fileTypes.inspect)
+async function storeUpload(pending, directory, type) {
+    const uniqueId = pending.id || uuidv4();
+
+    // Get storage disk (default or specified)
+    const diskName = pending.disk || config.storage?.default || 'local';
+    const visibility = parseVisibility(pending.visibility, config.images.defaultVisibility);
+    const tags = pending.tags !== undefined ? imageCatalog.normalizeTags(pending.tags) : [];
+    const filePath = await uploadPath(diskName, directory, pending, uniqueId, type.extension);
+    const filename = path.posix.basename(filePath);
 
-// Dizinlerin varlığını kontrol et
-async function ensureDirectories() {
     try {
-        await fs.mkdir(UPLOAD_DIR, { recursive: true });
-        await fs.mkdir(CACHE_DIR, { recursive: true });
-        console.log('Directories created/verified');
-    } catch (error) {
-        console.error('Error creating directories:', error);
+        const written = await writeOriginal(storage.disk(diskName), filePath, pending, type, visibility);
+
+        return await imageCatalog.create({
+            id: uniqueId,
+            disk: diskName,
+            path: filePath,
+            filename,
+            originalName: pending.originalName,
+            mimetype: type.mimetype,
+            ...written,
+            ownerId: pending.ownerId !== undefined ? String(pending.ownerId) : undefined,
+            visibility,
+            tags
+        });
+    } finally {
+        // Dosya artık disk'te (ya da yazılamadı); path'i sonraki upload'lar disk'e bakarak görür
+        await pathReservations.release(diskName, filePath);
+    }
+}
+
+// Sürümlenecek güncel orijinal; hash'i hiç hesaplanmamış eski kayıtların sürümü de ETag taşısın
+async function currentVersion(image) {
+    return { ...image, etag: await originalEtag(image) };
+}
+
+// Görüntünün orijinalini id'sini koruyarak değiştir
+// Yeni içerik aynı disk'te yeni bir path'e yazılır, önceki orijinal sürüm olarak saklanır
+async function replaceUpload(image, pending, type) {
+    const { filename, path: filePath } = imageVersions.path(image, type.extension);
+    const written = await writeOriginal(storage.disk(image.disk), filePath, pending, type, image.visibility);
+
+    return await imageVersions.commit(await currentVersion(image), {
+        path: filePath,
+        filename,
+        originalName: pending.originalName,
+        mimetype: type.mimetype,
+        ...written
+    }, pending.ownerId);
+}
+
+// Sürüm kaydını API yanıtına dönüştür (`version` yoksa görüntünün güncel orijinali)
+function serializeVersion(image, version = null) {
+    const source = version || image;
+
+    return {
+        version: source.version,
+        current: !version,
+        originalName: source.originalName,
+        filename: source.filename,
+        size: source.size,
+        mimetype: source.mimetype,
+        width: source.width,
+        height: source.height,
+        etag: source.etag,
+        replacedBy: version ? version.replacedBy : null,
+        replacedAt: version ? version.createdAt : null,
+        url: `/api/image/${image.id}/versions/${source.version}`
+    };
+}
+
+// Multipart isteğinden storeUpload girdisi (toplu upload'da `file` isteğin dosyalarından biri)
+function multipartUpload(req, file = req.file) {
+    return {
+        path: file.path,
+        size: file.size,
+        originalName: file.originalname,
+        disk: req.body.disk,
+        folder: req.body.folder,
+        pathTemplate: req.body.path,
+        tenant: req.user?.tenant,
+        visibility: req.body.visibility,
+        tags: req.body.tags,
+        ownerId: req.userId
+    };
+}
+
+// Orijinal için yönlendirme URL'i (local disk veya proxy modunda null)
+async function deliveryUrl(image, mode) {
+    const disk = storage.disk(image.disk);
+
+    // SVG her zaman proxy'lenir ki CSP header'ı uygulanabilsin
+    if (disk.driver === 'local' || image.mimetype === 'image/svg+xml') {
+        return null;
+    }
+
+    // Private nesnelerin public URL'i çalışmaz, süreli URL'e düş
+    switch (image.visibility === 'private' && mode === 'redirect' ? 'temporary' : mode) {
+        case 'redirect':
+            return disk.url(image.path);
+        case 'temporary':
+            return await disk.temporaryUrl(image.path, config.storage.temporaryUrlTtl);
+        default:
+            return null;
     }
 }
 
-ensureDirectories();
+// Multer konfigürasyonu - Geçici dosyaya yaz, büyük dosyalar belleğe alınmaz
+// (doğrulamadan sonra storage adapter'a akıtılır, istek bitince silinir)
+const multerStorage = multer.diskStorage({
+    destination: path.join(os.tmpdir(), 'cdn-services-uploads')
+});
+
+// İzin listesi (config.files.types) dışındaki MIME type'ları erkenden reddet
+// Asıl kontrol içerik okunduktan sonra fileTypes.inspect() ile yapılır
+function uploadFilter(imagesOnly) {
+    return (req, file, cb) => {
+        const claimed = fileTypes.normalize(file.mimetype);
+
+        // Tarayıcının türü bilmediği dosyalar içerikten tespit edilir
+        if (['', 'application/octet-stream'].includes(claimed)) {
+            return cb(null, true);
+        }
+
+        if (imagesOnly && !claimed.startsWith('image/')) {
+            const error = new Error('Only image files are allowed');
+            error.status = 415;
+            return cb(error);
+        }
+
+        if (!fileTypes.isAllowed(claimed)) {
+            const error = new Error(`File type ${fileTypes.normalize(file.mimetype)} is not allowed`);
+            error.status = 415;
+            return cb(error);
+        }
 
-// Multer konfigürasyonu - Memory storage kullan (storage adapter'a kaydetmek için)
-const multerStorage = multer.memoryStorage();
+        cb(null, true);
+    };
+}
 
+// Görüntü upload'u (/api/upload)
 const upload = multer({
     storage: multerStorage,
     limits: {
-        fileSize: 50 * 1024 * 1024, // 50MB limit
+        fileSize: config.files.maxSize, // Tür bazlı limitler fileTypes.inspect() ile
+    },
+    fileFilter: uploadFilter(true)
+});
+
+// Genel dosya upload'u (/api/files)
+const fileUpload = multer({
+    storage: multerStorage,
+    limits: {
+        fileSize: config.files.maxSize,
+    },
+    fileFilter: uploadFilter(false)
+});
+
+// Toplu upload (/api/upload/batch): izin listesi dışındaki dosyalar isteği durdurmaz,
+// `req.rejectedFiles` ile sonuçlarda hata olarak döner
+const batchUpload = multer({
+    storage: multerStorage,
+    limits: {
+        fileSize: config.files.maxSize
     },
     fileFilter: (req, file, cb) => {
-        const allowedTypes = /jpeg|jpg|png|gif|webp|svg|bmp|tiff/;
-        const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-        const mimetype = allowedTypes.test(file.mimetype);
+        req.batchCount = (req.batchCount || 0) + 1;
+        file.index = req.batchCount - 1;
 
-        if (mimetype && extname) {
-            return cb(null, true);
-        } else {
-            cb(new Error('Only image files are allowed'));
-        }
+        uploadFilter(true)(req, file, (error) => {
+            if (error) {
+                req.rejectedFiles = [...(req.rejectedFiles || []), { file, error }];
+                return cb(null, false);
+            }
+            cb(null, true);
+        });
     }
 });
 
+// Upload hatalarını (tür 415, boyut 413) route'ların hata formatında döndür
+// `maxCount` verilirse alan birden fazla dosya kabul eder (req.files)
+function acceptUpload(uploader, field, maxCount = null) {
+    const parse = maxCount ? uploader.array(field, maxCount) : uploader.single(field);
+
+    return (req, res, next) => parse(req, res, (error) => {
+        // Geçici dosyaları yanıttan sonra sil
+        res.on('close', () => {
+            for (const file of req.files || (req.file ? [req.file] : [])) {
+                fs.rm(file.path, { force: true }).catch(() => {});
+            }
+        });
+
+        if (!error) {
+            // multer dosya adını latin1 olarak çözer; tarayıcıların gönderdiği UTF-8 ad geri kurulur
+            const files = [
+                ...(req.files || (req.file ? [req.file] : [])),
+                ...(req.rejectedFiles || []).map(({ file }) => file)
+            ];
+            for (const file of files) {
+                file.originalname = Buffer.from(file.originalname, 'latin1').toString('utf8');
+            }
+            return next();
+        }
+
+        let status = error.status || 400;
+        if (error instanceof multer.MulterError && error.code === 'LIMIT_FILE_SIZE') {
+            status = 413;
+        }
+        if (maxCount && error.code === 'LIMIT_UNEXPECTED_FILE' && error.field === field) {
+            error.message = `At most ${maxCount} files can be uploaded at once`;
+        }
+
+        res.status(status).json({ error: 'File rejected', message: error.message });
+    });
+}
+
+// Toplu upload alanı: `images`, en fazla FILES_BATCH_MAX_FILES dosya
+const acceptBatchUpload = acceptUpload(batchUpload, 'images', config.files.batchMaxFiles);
+
 // Request logging
 app.use((req, res, next) => {
     console.log(`${new Date().toISOString()} - ${req.method} ${req.url}`);
@@ -86,7 +706,10 @@ app.get('/health', (req, res) => {
     res.json({
         status: 'healthy',
         service: 'cdn-services',
-        features: ['image-upload', 'image-processing', 'format-conversion', 'resizing', 'authentication', 'multi-storage'],
+        features: [
+            'image-upload', 'file-upload', 'image-processing', 'format-conversion',
+            'resizing', 'authentication', 'multi-storage'
+        ],
         timestamp: new Date().toISOString()
     });
 });
@@ -95,11 +718,9 @@ app.get('/health', (req, res) => {
 // In production, this should be handled by your main auth service
 app.post('/api/auth/token', async (req, res) => {
     try {
-        const authService = require('./services/authService');
-        
         // Simple token generation for testing
         // In production, validate user credentials first
-        const { userId, email, role } = req.body;
+        const { userId, email, role, tenant } = req.body;
         
         if (!userId) {
             return res.status(400).json({
@@ -113,6 +734,8 @@ app.post('/api/auth/token', async (req, res) => {
             userId: userId,
             email: email || `user${userId}@example.com`,
             role: role || 'user',
+            // Path şablonlarındaki {tenant} bu claim'den doldurulur
+            ...(tenant && { tenant: String(tenant) }),
         };
 
         const token = authService.generateToken(payload);
@@ -142,10 +765,28 @@ app.get('/', (req, res) => {
             health: '/health',
             authToken: 'POST /api/auth/token (Generate JWT token for testing)',
             upload: 'POST /api/upload (Auth Required)',
-            list: 'GET /api/images',
+            batchUpload: 'POST /api/upload/batch (Auth Required, up to FILES_BATCH_MAX_FILES images)',
+            importUpload: 'POST /api/upload/from-url (Auth Required)',
+            directUpload: 'POST /api/upload/direct, POST /api/upload/direct/:id/finalize (Auth Required)',
+            list: 'GET /api/images?owner=&disk=&type=&uploadedAfter=&uploadedBefore=&tag=&sort=&order=&limit=&cursor=',
+            fileUpload: 'POST /api/files (Auth Required)',
+            resumableUpload: 'POST /api/tus, HEAD|PATCH|DELETE /api/tus/:id (tus 1.0, Auth Required)',
+            files: 'GET /api/files',
+            storage: 'GET /api/storage/:disk?directory=&recursive=&limit=&cursor= (Admin, STORAGE_LIST_SCOPE)',
+            purge: 'DELETE /api/cache/images/:id, DELETE /api/cache/presets/:name, DELETE /api/cache/tags/:tag (Admin)',
+            file: 'GET /api/files/:id',
             image: 'GET /api/image/:id',
-            delete: 'DELETE /api/image/:id (Auth Required)',
+            delete: 'DELETE /api/image/:id, DELETE /api/files/:id (Owner or Admin, moves to trash)',
+            trash: 'GET /api/trash, POST /api/trash/:id/restore, DELETE /api/trash/:id (Owner or Admin)',
+            update: 'PATCH /api/image/:id, PATCH /api/files/:id (Owner or Admin)',
+            replace: 'PUT /api/image/:id (Owner or Admin)',
+            versions: 'GET /api/image/:id/versions, GET /api/image/:id/versions/:version (Owner or Admin)',
+            restoreVersion: 'POST /api/image/:id/versions/:version/restore (Owner or Admin)',
+            grants: 'GET|POST /api/image/:id/grants, DELETE /api/image/:id/grants/:userId (Owner or Admin)',
+            accessToken: 'POST /api/image/:id/token (Owner or Admin)',
             processedImage: 'GET /api/image/:id/:size/:format',
+            presetImage: 'GET /api/image/:id/preset/:name',
+            transformedImage: 'GET /api/image/:id?w=&h=&fit=&crop=&q=&fm=&dpr=',
             imageInfo: 'GET /api/info/:id',
             systemInfo: '/info',
             metrics: '/metrics'
@@ -153,20 +794,28 @@ app.get('/', (req, res) => {
         features: {
             authentication: 'JWT-based authentication',
             storage: 'Multi-disk storage support (local, s3, azure, gcs)',
+            files: 'Any allowlisted file type (config.files.types)',
             imageProcessing: 'Dynamic image resizing and format conversion'
         },
-        supportedFormats: ['jpeg', 'jpg', 'png', 'webp', 'gif', 'svg', 'bmp', 'tiff'],
-        supportedSizes: ['thumbnail', 'small', 'medium', 'large', 'original', 'custom (e.g., 200x300)'],
+        supportedFormats: {
+            input: imageProcessor.inputFormats,
+            output: [...imageProcessor.outputFormats, 'auto']
+        },
+        supportedSizes: [...imageProcessor.presetNames(), 'custom (e.g., 200x300)'],
+        presets: config.images.presets,
         examples: [
             '/api/image/abc123/100x100/webp',
             '/api/image/abc123/thumbnail/jpeg',
-            '/api/image/abc123/500x500/png'
+            '/api/image/abc123/500x500/png',
+            '/api/image/abc123?w=400&h=300&fit=cover&q=70&fm=webp&dpr=2',
+            '/api/image/abc123/medium/auto',
+            '/api/image/abc123/preset/avatar'
         ]
     });
 });
 
 // Dosya yükleme endpoint'i - AUTH İLE KORUNMUŞ
-app.post('/api/upload', authenticate, upload.single('image'), async (req, res) => {
+app.post('/api/upload', authenticate, acceptUpload(upload, 'image'), async (req, res) => {
     try {
         console.log('Upload request received from user:', req.userId);
 
@@ -177,52 +826,28 @@ app.post('/api/upload', authenticate, upload.single('image'), async (req, res) =
 
         console.log('File uploaded:', req.file.originalname);
 
-        // Generate unique filename
-        const uniqueId = uuidv4();
-        const ext = path.extname(req.file.originalname);
-        const filename = `${uniqueId}${ext}`;
-        const filePath = `images/${filename}`;
-
-        // Get storage disk (default or specified)
-        const diskName = req.body.disk || config.storage?.default || 'local';
-        const disk = storage.disk(diskName);
-
-        // Save file to storage
-        await disk.put(filePath, req.file.buffer, {
-            contentType: req.file.mimetype
-        });
-
-        // Also save to local cache for processing
-        const localCachePath = path.join(UPLOAD_DIR, filename);
-        await fs.writeFile(localCachePath, req.file.buffer);
+        // Gerçek türü magic byte'lardan tespit et, görüntüyü decode ederek doğrula
+        const type = await fileTypes.inspect(req.file, { imagesOnly: true });
+        const image = await storeUpload(multipartUpload(req), 'images', type);
 
-        const fileInfo = {
-            id: uniqueId,
-            originalName: req.file.originalname,
-            filename: filename,
-            path: filePath,
-            size: req.file.size,
-            mimetype: req.file.mimetype,
-            disk: diskName,
-            uploadedBy: req.userId,
-            uploadedAt: new Date().toISOString(),
-            url: disk.url(filePath),
-            urls: {
-                original: `/api/image/${uniqueId}`,
-                thumbnail: `/api/image/${uniqueId}/thumbnail/jpeg`,
-                small: `/api/image/${uniqueId}/300x300/webp`,
-                medium: `/api/image/${uniqueId}/800x800/webp`,
-                large: `/api/image/${uniqueId}/1920x1080/webp`
-            }
-        };
+        const fileInfo = serializeImage(image);
 
-        console.log('Upload successful:', fileInfo.id, 'to disk:', diskName);
+        console.log('Upload successful:', fileInfo.id, 'to disk:', image.disk);
 
         res.json({
             success: true,
             file: fileInfo
         });
     } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({ error: 'Invalid upload', message: error.message });
+        }
+        if ([413, 415, 422].includes(error.status)) {
+            return res.status(error.status).json({ error: 'File rejected', message: error.message });
+        }
+        if (error.status === 409) {
+            return res.status(409).json({ error: 'Conflict', message: error.message });
+        }
         console.error('Upload error:', error);
         res.status(500).json({
             error: 'Upload failed',
@@ -232,220 +857,847 @@ app.post('/api/upload', authenticate, upload.single('image'), async (req, res) =
     }
 });
 
-// Orijinal görüntüyü getir
-app.get('/api/image/:id', async (req, res) => {
+// Toplu görüntü yükleme - AUTH İLE KORUNMUŞ
+// Her dosya ayrı doğrulanıp saklanır; disk, folder, visibility ve tags tüm dosyalar için ortaktır.
+// atomic=true ise tek bir dosya bile başarısız olursa saklanan dosyalar geri alınır
+app.post('/api/upload/batch', authenticate, acceptBatchUpload, async (req, res) => {
     try {
-        const files = await fs.readdir(UPLOAD_DIR);
-        const file = files.find(f => f.startsWith(req.params.id));
+        const rejected = new Map((req.rejectedFiles || []).map(({ file, error }) => [file.index, error]));
+        const files = [...(req.files || []), ...(req.rejectedFiles || []).map(({ file }) => file)]
+            .sort((a, b) => a.index - b.index);
 
-        if (!file) {
-            return res.status(404).json({ error: 'Image not found' });
+        if (files.length === 0) {
+            return res.status(400).json({ error: 'No files uploaded' });
         }
 
-        const filePath = path.join(UPLOAD_DIR, file);
-        res.sendFile(filePath);
-    } catch (error) {
-        console.error('Error serving image:', error);
-        res.status(500).json({ error: 'Failed to serve image' });
-    }
-});
-
-// İşlenmiş görüntüyü getir
-app.get('/api/image/:id/:size/:format', async (req, res) => {
-    try {
-        const { id, size, format } = req.params;
-
-        // Desteklenen formatları kontrol et
-        const supportedFormats = ['jpeg', 'jpg', 'png', 'webp', 'gif'];
-        if (!supportedFormats.includes(format.toLowerCase())) {
-            return res.status(400).json({ error: 'Unsupported format' });
+        // Ortak parametreler dosyalardan önce doğrulanır, hatalıysa hiçbir dosya saklanmaz
+        parseVisibility(req.body.visibility, config.images.defaultVisibility);
+        checkUploadPath(req, req.body.disk || config.storage?.default || 'local');
+        if (req.body.tags !== undefined) {
+            imageCatalog.normalizeTags(req.body.tags);
         }
-
-        // Orijinal dosyayı bul
-        const files = await fs.readdir(UPLOAD_DIR);
-        const originalFile = files.find(f => f.startsWith(id));
-
-        if (!originalFile) {
-            return res.status(404).json({ error: 'Image not found' });
+        if (req.body.disk && !storage.disks[req.body.disk]) {
+            return res.status(400).json({
+                error: 'Invalid upload',
+                message: `Storage disk "${req.body.disk}" is not configured`
+            });
         }
 
-        const originalPath = path.join(UPLOAD_DIR, originalFile);
-
-        // Boyut ayarlarını parse et
-        let width, height;
-        const presetSizes = {
-            thumbnail: { width: 150, height: 150 },
-            small: { width: 300, height: 300 },
-            medium: { width: 800, height: 800 },
-            large: { width: 1920, height: 1080 }
-        };
+        const atomic = ['1', 'true'].includes(String(req.body.atomic).toLowerCase());
 
-        if (presetSizes[size]) {
-            ({ width, height } = presetSizes[size]);
-        } else if (size.includes('x')) {
-            [width, height] = size.split('x').map(Number);
-            if (isNaN(width) || isNaN(height)) {
-                return res.status(400).json({ error: 'Invalid size format' });
+        const batch = await batchUploads.storeAll(files, async (file) => {
+            if (rejected.has(file.index)) {
+                throw rejected.get(file.index);
             }
-        } else {
-            return res.status(400).json({ error: 'Invalid size parameter' });
-        }
-
-        // Cache key oluştur
-        const cacheKey = `${id}_${width}x${height}_${format}`;
-        const cachePath = path.join(CACHE_DIR, `${cacheKey}.${format}`);
-
-        // Cache'te var mı kontrol et
-        try {
-            await fs.access(cachePath);
-            console.log(`Serving from cache: ${cacheKey}`);
-            return res.sendFile(cachePath);
-        } catch {
-            // Cache'te yok, işle
-        }
-
-        // Görüntüyü işle
-        console.log(`Processing image: ${id} -> ${width}x${height} ${format}`);
 
-        let sharpInstance = sharp(originalPath);
-
-        // Boyutlandır
-        sharpInstance = sharpInstance.resize(width, height, {
-            fit: 'inside',
-            withoutEnlargement: true
+            const type = await fileTypes.inspect(file, { imagesOnly: true });
+            return await storeUpload(multipartUpload(req, file), 'images', type);
+        }, {
+            atomic,
+            // Hepsi ya da hiçbiri: saklananları disk'ten ve katalogdan geri al
+            rollback: (image) => trash.destroy(image)
         });
 
-        // Format dönüşümü
-        switch (format.toLowerCase()) {
-            case 'jpeg':
-            case 'jpg':
-                sharpInstance = sharpInstance.jpeg({ quality: 85 });
-                break;
-            case 'png':
-                sharpInstance = sharpInstance.png({ compressionLevel: 8 });
-                break;
-            case 'webp':
-                sharpInstance = sharpInstance.webp({ quality: 85 });
-                break;
-            case 'gif':
-                sharpInstance = sharpInstance.gif();
-                break;
+        if (batch.rolledBack) {
+            return res.status(422).json({
+                success: false,
+                error: 'Batch rejected',
+                message: `${batch.failed} of ${files.length} files failed, no files were stored`,
+                uploaded: 0,
+                failed: batch.failed,
+                results: batch.results
+            });
         }
 
-        // İşlenmiş görüntüyü cache'e kaydet
-        const processedBuffer = await sharpInstance.toBuffer();
-        await fs.writeFile(cachePath, processedBuffer);
+        console.log(`Batch upload by ${req.userId}: ${batch.uploaded} stored, ${batch.failed} failed`);
 
-        // Content-Type ayarla
-        const contentType = `image/${format === 'jpg' ? 'jpeg' : format}`;
-        res.set('Content-Type', contentType);
-        res.set('Cache-Control', 'public, max-age=31536000'); // 1 yıl cache
-
-        res.send(processedBuffer);
+        res.json({
+            success: batch.failed === 0,
+            uploaded: batch.uploaded,
+            failed: batch.failed,
+            results: batch.results.map(({ image, ...result }) => (image
+                ? { ...result, file: serializeImage(image) }
+                : result))
+        });
     } catch (error) {
-        console.error('Error processing image:', error);
-        res.status(500).json({ error: 'Failed to process image', message: error.message });
+        if (error.status === 400) {
+            return res.status(400).json({ error: 'Invalid upload', message: error.message });
+        }
+        console.error('Batch upload error:', error);
+        res.status(500).json({ error: 'Upload failed', message: error.message });
     }
 });
 
-// Görüntü bilgisi endpoint'i
-app.get('/api/info/:id', async (req, res) => {
+// Uzak sunucunun bildirdiği türü /api/upload ile aynı kuralla kontrol et (indirmeden önce)
+function checkClaimedImage(mimetype) {
+    uploadFilter(true)(null, { mimetype }, (error) => {
+        if (error) {
+            throw error;
+        }
+    });
+}
+
+// Uzak URL'den görüntü içe aktar - AUTH İLE KORUNMUŞ
+// İndirilen dosya /api/upload ile aynı doğrulama ve saklama adımlarından geçer
+app.post('/api/upload/from-url', authenticate, async (req, res) => {
+    let download;
+
     try {
-        const files = await fs.readdir(UPLOAD_DIR);
-        const file = files.find(f => f.startsWith(req.params.id));
+        const { url } = req.body;
 
-        if (!file) {
-            return res.status(404).json({ error: 'Image not found' });
+        if (typeof url !== 'string' || url === '') {
+            return res.status(400).json({
+                error: 'Missing required fields',
+                message: 'url is required'
+            });
+        }
+
+        // Ortak parametreleri indirmeden önce doğrula
+        parseVisibility(req.body.visibility, config.images.defaultVisibility);
+        checkUploadPath(req, req.body.disk || config.storage?.default || 'local');
+        if (req.body.tags !== undefined) {
+            imageCatalog.normalizeTags(req.body.tags);
+        }
+        if (req.body.disk && !storage.disks[req.body.disk]) {
+            return res.status(400).json({
+                error: 'Invalid upload',
+                message: `Storage disk "${req.body.disk}" is not configured`
+            });
         }
 
-        const filePath = path.join(UPLOAD_DIR, file);
-        const metadata = await sharp(filePath).metadata();
-        const stats = await fs.stat(filePath);
+        download = await remoteFetcher.download(url, { accept: checkClaimedImage });
+        console.log('Remote file downloaded:', download.url, download.size, 'bytes');
+
+        const type = await fileTypes.inspect({
+            path: download.path,
+            mimetype: download.mimetype,
+            size: download.size,
+            originalname: download.originalName
+        }, { imagesOnly: true });
+
+        const image = await storeUpload({
+            path: download.path,
+            size: download.size,
+            originalName: download.originalName,
+            disk: req.body.disk,
+            folder: req.body.folder,
+            pathTemplate: req.body.path,
+            tenant: req.user?.tenant,
+            visibility: req.body.visibility,
+            tags: req.body.tags,
+            ownerId: req.userId
+        }, 'images', type);
+
+        console.log('Import successful:', image.id, 'from', download.url);
 
         res.json({
-            id: req.params.id,
-            filename: file,
-            size: stats.size,
-            uploadedAt: stats.birthtime,
-            metadata: {
-                width: metadata.width,
-                height: metadata.height,
-                format: metadata.format,
-                space: metadata.space,
-                channels: metadata.channels,
-                density: metadata.density,
-                hasAlpha: metadata.hasAlpha
-            },
-            availableFormats: ['jpeg', 'png', 'webp', 'gif'],
-            availableSizes: ['thumbnail', 'small', 'medium', 'large', 'custom']
+            success: true,
+            source: download.url,
+            file: serializeImage(image)
         });
     } catch (error) {
-        console.error('Error getting image info:', error);
-        res.status(500).json({ error: 'Failed to get image info' });
+        if (error.status === 400) {
+            return res.status(400).json({ error: 'Invalid upload', message: error.message });
+        }
+        if ([413, 415, 422].includes(error.status)) {
+            return res.status(error.status).json({ error: 'File rejected', message: error.message });
+        }
+        if (error.status === 409) {
+            return res.status(409).json({ error: 'Conflict', message: error.message });
+        }
+        if ([502, 504].includes(error.status)) {
+            return res.status(error.status).json({ error: 'Fetch failed', message: error.message });
+        }
+        console.error('Import error:', error);
+        res.status(500).json({ error: 'Import failed', message: error.message });
+    } finally {
+        if (download) {
+            fs.rm(download.path, { force: true }).catch(() => {});
+        }
     }
 });
 
-// Görüntü silme endpoint'i - AUTH İLE KORUNMUŞ
-app.delete('/api/image/:id', authenticate, async (req, res) => {
-    try {
-        const { id } = req.params;
-        const diskName = req.query.disk || config.storage?.default || 'local';
-        console.log(`Delete request for image: ${id} by user: ${req.userId}`);
+// Hata durumu taşıyan Error (doğrudan upload yardımcıları için)
+function uploadError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
 
-        const disk = storage.disk(diskName);
-        const filePath = `images/${id}*`; // Pattern matching için
+// Doğrudan upload'ı tamamla; aynı anda gelen finalize isteklerinden yalnızca biri (üstlenen) çalışır,
+// diğerleri 409 alır. Reddedilmeyen hatalarda üstlenme geri alınır, finalize tekrar denenebilir.
+// Üstlenen istek yarıda öldüyse eskiyen üstlenme devralınır
+async function finishDirectUpload(session) {
+    if (!(await directUploads.claimFinalize(session))) {
+        throw uploadError(409, 'The upload is already being finalized');
+    }
 
-        // Orijinal dosyayı bul ve sil (storage'dan)
-        try {
-            // Find file with this ID prefix
-            const files = await fs.readdir(UPLOAD_DIR);
-            const originalFile = files.find(f => f.startsWith(id));
-
-            if (originalFile) {
-                const fullPath = `images/${originalFile}`;
-                if (await disk.exists(fullPath)) {
-                    await disk.delete(fullPath);
-                    console.log(`Deleted from storage: ${fullPath}`);
-                }
-            }
+    // Önceki istek katalog kaydını oluşturduktan sonra öldüyse yalnızca tamamlanır
+    const stored = session.fileId && await imageCatalog.find(session.fileId);
+    if (stored) {
+        await directUploads.complete(session);
+        return stored;
+    }
 
-            // Local cache'den de sil
-            if (originalFile) {
-                const localPath = path.join(UPLOAD_DIR, originalFile);
-                try {
-                    await fs.unlink(localPath);
-                    console.log(`Deleted local file: ${originalFile}`);
-                } catch (err) {
-                    // Ignore if file doesn't exist
-                }
-            }
-        } catch (error) {
-            console.log('File not found in storage, trying local only');
+    let file;
+    try {
+        file = await storeDirectUpload(session);
+    } catch (error) {
+        if (![413, 415, 422].includes(error.status)) {
+            await directUploads.releaseFinalize(session).catch(() => {});
         }
+        throw error;
+    }
 
-        // Cache'deki tüm versiyonları sil
-        try {
-            const cacheFiles = await fs.readdir(CACHE_DIR);
-            const relatedCacheFiles = cacheFiles.filter(f => f.startsWith(id));
+    // Preset'leri arka planda üret; yanıt beklemez, hata upload'ı etkilemez
+    warmPresets(file, config.directUploads.warmPresets)
+        .catch((error) => console.error('Preset warmup failed:', file.id, error.message));
 
-            for (const cacheFile of relatedCacheFiles) {
-                const cachePath = path.join(CACHE_DIR, cacheFile);
-                await fs.unlink(cachePath);
-                console.log(`Deleted cache file: ${cacheFile}`);
-            }
+    return file;
+}
 
-            res.json({
-                success: true,
-                message: 'Image deleted successfully',
-                deletedBy: req.userId
-            });
-        } catch (error) {
-            res.json({
-                success: true,
-                message: 'Image deleted from storage',
-                deletedBy: req.userId
-            });
-        }
+// Doğrudan disk'e yüklenen nesneyi doğrula ve kataloğa ekle
+// Nesne yerinde kalır; doğrulama için geçici bir kopyası okunur.
+// İçerik reddedilirse nesne ve upload silinir (istemci baştan başlamalıdır)
+async function storeDirectUpload(session) {
+    const disk = storage.disk(session.disk);
+    const size = await disk.size(session.path).catch(() => null);
+
+    if (size === null) {
+        throw uploadError(409, 'The file has not been uploaded yet');
+    }
+
+    const localPath = path.join(os.tmpdir(), 'cdn-services-uploads', uuidv4());
+
+    try {
+        let type;
+        try {
+            if (size !== session.size) {
+                throw uploadError(422, `Uploaded file is ${size} bytes, ${session.size} were declared`);
+            }
+
+            await fs.mkdir(path.dirname(localPath), { recursive: true });
+            await pipeline(await disk.readStream(session.path), createWriteStream(localPath));
+
+            type = await fileTypes.inspect({
+                path: localPath,
+                mimetype: session.mimetype,
+                size,
+                originalname: session.originalName
+            });
+        } catch (error) {
+            if ([413, 415, 422].includes(error.status)) {
+                await directUploads.terminate(session);
+            }
+            throw error;
+        }
+
+        const { visibility, tags } = session.metadata;
+        const written = await writeOriginal(disk, session.path, { path: localPath, size }, type, visibility, {
+            stored: true
+        });
+
+        const file = await imageCatalog.create({
+            id: session.id,
+            disk: session.disk,
+            path: session.path,
+            filename: path.posix.basename(session.path),
+            originalName: session.originalName,
+            mimetype: type.mimetype,
+            ...written,
+            ownerId: session.ownerId ?? undefined,
+            visibility,
+            tags
+        });
+
+        await directUploads.complete(session);
+        console.log('Direct upload completed:', file.id, file.mimetype, 'on disk:', file.disk);
+
+        return file;
+    } finally {
+        await fs.rm(localPath, { force: true });
+    }
+}
+
+// Doğrudan storage'a upload başlat - AUTH İLE KORUNMUŞ
+// s3/azure/gcs disk'lerinde bucket'ın presigned URL'i, local disk'te bu servisin tek kullanımlık
+// imzalı URL'i döner. İstemci dosyayı bu URL'e yükler, ardından finalize'ı çağırır
+app.post('/api/upload/direct', authenticate, async (req, res) => {
+    try {
+        const { filename, mimetype } = req.body;
+        const size = Number(req.body.size);
+
+        if (typeof filename !== 'string' || filename === ''
+            || typeof mimetype !== 'string' || req.body.size === undefined) {
+            return res.status(400).json({
+                error: 'Missing required fields',
+                message: 'filename, mimetype and size are required'
+            });
+        }
+
+        if (!Number.isSafeInteger(size) || size < 1) {
+            return res.status(400).json({ error: 'Invalid upload', message: 'size must be a positive integer' });
+        }
+
+        // Tür baştan bilinmeli: nesnenin path'i ve imzalı Content-Type buna göre belirlenir
+        const claimed = fileTypes.normalize(mimetype);
+        if (['', 'application/octet-stream', 'binary/octet-stream'].includes(claimed)) {
+            return res.status(400).json({
+                error: 'Invalid upload',
+                message: 'mimetype must name the file type, e.g. image/jpeg'
+            });
+        }
+        fileTypes.check({ mimetype: claimed, size });
+
+        const visibility = parseVisibility(req.body.visibility, config.images.defaultVisibility);
+        const tags = req.body.tags !== undefined ? imageCatalog.normalizeTags(req.body.tags) : [];
+        const diskName = req.body.disk || config.storage?.default || 'local';
+
+        if (!storage.disks[diskName]) {
+            return res.status(400).json({
+                error: 'Invalid upload',
+                message: `Storage disk "${diskName}" is not configured`
+            });
+        }
+
+        const id = uuidv4();
+        const directory = claimed.startsWith('image/') ? 'images' : 'files';
+        const extension = fileTypes.extensionFor(claimed) || path.extname(filename).toLowerCase();
+        const filePath = await uploadPath(diskName, directory, {
+            folder: req.body.folder,
+            pathTemplate: req.body.path,
+            tenant: req.user?.tenant,
+            originalName: filename,
+            ownerId: req.userId
+        }, id, extension);
+        const { expiration } = config.directUploads;
+        let target;
+        let session;
+
+        try {
+            target = await storage.disk(diskName).temporaryUploadUrl(filePath, {
+                expiration,
+                contentType: claimed,
+                acl: storageAcl(visibility)
+            }) || {
+                method: 'PUT',
+                url: authService.signImageUrl(`/api/upload/direct/${id}`, {}, expiration),
+                headers: { 'Content-Type': claimed }
+            };
+
+            session = await directUploads.create({
+                id,
+                ownerId: req.userId,
+                disk: diskName,
+                path: filePath,
+                originalName: filename,
+                mimetype: claimed,
+                size,
+                metadata: { visibility, tags }
+            });
+        } finally {
+            // Path'i bundan sonra doğrudan upload kaydı ayırır (directUploads.isReserved)
+            await pathReservations.release(diskName, filePath);
+        }
+
+        res.status(201).json({
+            success: true,
+            upload: {
+                id: session.id,
+                ...target,
+                expiresAt: session.expiresAt,
+                finalize: `/api/upload/direct/${session.id}/finalize`
+            }
+        });
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({ error: 'Invalid upload', message: error.message });
+        }
+        if (error.status === 409) {
+            return res.status(409).json({ error: 'Conflict', message: error.message });
+        }
+        if ([413, 415].includes(error.status)) {
+            return res.status(error.status).json({ error: 'File rejected', message: error.message });
+        }
+        console.error('Direct upload error:', error);
+        res.status(500).json({ error: 'Upload failed', message: error.message });
+    }
+});
+
+// Local disk için tek kullanımlık upload URL'i (bucket'ın presigned PUT'unun karşılığı)
+// Token yerine URL imzası ile korunur; gövde bildirilen boyutu aşamaz
+app.put('/api/upload/direct/:id', async (req, res) => {
+    try {
+        authService.verifyImageSignature(req.path, req.query);
+    } catch (error) {
+        return res.status(403).json({ error: 'Forbidden', message: error.message });
+    }
+
+    let session;
+
+    try {
+        session = await directUploads.find(req.params.id);
+
+        if (!session) {
+            return res.status(404).json({ error: 'Upload not found' });
+        }
+
+        if (!session.fileId && session.expiresAt && session.expiresAt < new Date()) {
+            await directUploads.terminate(session);
+            return res.status(410).json({ error: 'Upload expired' });
+        }
+
+        if (session.fileId || !(await directUploads.claim(session))) {
+            return res.status(409).json({ error: 'Conflict', message: 'This upload URL has already been used' });
+        }
+    } catch (error) {
+        console.error('Direct upload error:', error);
+        return res.status(500).json({ error: 'Upload failed', message: error.message });
+    }
+
+    let remaining = session.size;
+    const limit = new Transform({
+        transform(chunk, encoding, callback) {
+            if (chunk.length > remaining) {
+                return callback(uploadError(413, `File exceeds the declared size of ${session.size} bytes`));
+            }
+            remaining -= chunk.length;
+            callback(null, chunk);
+        }
+    });
+
+    try {
+        await storage.disk(session.disk).writeStream(session.path, streamPipeline(req, limit, () => {}), {
+            contentType: session.mimetype,
+            acl: storageAcl(session.metadata.visibility)
+        });
+        res.status(204).end();
+    } catch (error) {
+        // Yarım kalan yükleme silinir, URL süresi dolana kadar tekrar kullanılabilir
+        await storage.disk(session.disk).delete(session.path).catch(() => {});
+        await directUploads.release(session).catch(() => {});
+
+        if (error.status === 413) {
+            return res.status(413).json({ error: 'File rejected', message: error.message });
+        }
+        console.error('Direct upload error:', error);
+        res.status(500).json({ error: 'Upload failed', message: error.message });
+    }
+});
+
+// Doğrudan upload'ı tamamla: nesneyi doğrula, kataloğa ekle ve işlemeyi başlat - AUTH İLE KORUNMUŞ
+// Tekrarlanan çağrılar aynı dosyayı döndürür; başka bir istek henüz tamamlıyorsa 409 döner
+app.post('/api/upload/direct/:id/finalize', authenticate, loadDirectUpload, async (req, res) => {
+    try {
+        const session = req.directUpload;
+
+        if (directUploads.isFinalizing(session)) {
+            return res.status(409).json({ error: 'Conflict', message: 'The upload is already being finalized' });
+        }
+
+        const file = session.finalizedAt
+            ? await imageCatalog.find(session.fileId)
+            : await finishDirectUpload(session);
+
+        if (!file) {
+            return res.status(404).json({ error: 'File not found', message: 'The uploaded file has been deleted' });
+        }
+
+        res.json({
+            success: true,
+            file: serializeImage(file)
+        });
+    } catch (error) {
+        if (error.status === 409) {
+            return res.status(409).json({ error: 'Conflict', message: error.message });
+        }
+        if ([413, 415, 422].includes(error.status)) {
+            return res.status(error.status).json({ error: 'File rejected', message: error.message });
+        }
+        console.error('Direct upload finalize error:', error);
+        res.status(500).json({ error: 'Upload failed', message: error.message });
+    }
+});
+
+// Orijinal görüntüyü getir
+app.get('/api/image/:id', optionalAuth, verifySignedUrl, loadImage, canViewImage, async (req, res) => {
+    try {
+        const { image } = req;
+
+        // Query ile dönüşüm istendiyse (ör. ?w=400&h=300&fit=cover&q=70&fm=webp&dpr=2)
+        if (imageProcessor.hasTransform(req.query)) {
+            if (!imageProcessor.canProcess(image.mimetype)) {
+                return requireImage(req, res);
+            }
+            const options = imageProcessor.parseTransform(req.query, {
+                format: imageProcessor.formatFor(image.mimetype)
+            });
+            return await sendVariant(req, res, image, options);
+        }
+
+        // Çoklu node kurulumları için bucket URL'ine yönlendir
+        await sendOriginal(req, res, image);
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({ error: 'Invalid transformation', message: error.message });
+        }
+        console.error('Error serving image:', error);
+        res.status(500).json({ error: 'Failed to serve image' });
+    }
+});
+
+// Preset ile işlenmiş görüntüyü getir
+app.get('/api/image/:id/preset/:name', optionalAuth, transformableImage, async (req, res) => {
+    try {
+        const preset = imageProcessor.preset(req.params.name);
+
+        if (!preset) {
+            return res.status(404).json({
+                error: 'Preset not found',
+                availablePresets: imageProcessor.presetNames()
+            });
+        }
+
+        await sendVariant(req, res, req.image, imageProcessor.parseTransform(preset), req.params.name);
+    } catch (error) {
+        console.error('Error processing preset image:', error);
+        res.status(500).json({ error: 'Failed to process image', message: error.message });
+    }
+});
+
+// Görüntünün sürümlerini listele (güncel + önceki orijinaller) - SAHİBİ VEYA ADMIN
+app.get('/api/image/:id/versions', authenticate, loadImage, ownerOrAdmin, async (req, res) => {
+    try {
+        const { image } = req;
+        const versions = await imageCatalog.versions(image.id);
+
+        res.json({
+            success: true,
+            current: image.version,
+            retention: imageVersions.retention(image.disk),
+            versions: [
+                serializeVersion(image),
+                ...versions.map((version) => serializeVersion(image, version))
+            ]
+        });
+    } catch (error) {
+        console.error('Error listing versions:', error);
+        res.status(500).json({ error: 'Failed to list versions' });
+    }
+});
+
+// Belirli bir sürümün orijinalini getir
+app.get('/api/image/:id/versions/:version', authenticate, loadImage, ownerOrAdmin, async (req, res) => {
+    try {
+        const { image } = req;
+        const number = parseInt(req.params.version, 10);
+
+        if (number === image.version) {
+            return await sendOriginal(req, res, image);
+        }
+
+        const version = Number.isInteger(number) ? await imageCatalog.findVersion(image.id, number) : null;
+
+        if (!version) {
+            return res.status(404).json({ error: 'Version not found' });
+        }
+
+        await sendOriginal(req, res, {
+            ...image,
+            disk: version.disk,
+            path: version.path,
+            filename: version.filename,
+            mimetype: version.mimetype,
+            size: version.size,
+            etag: version.etag
+        });
+    } catch (error) {
+        console.error('Error serving version:', error);
+        res.status(500).json({ error: 'Failed to serve version' });
+    }
+});
+
+// Önceki bir sürümü geri yükle (yeni sürüm olarak) - SAHİBİ VEYA ADMIN
+app.post('/api/image/:id/versions/:version/restore', authenticate, loadImage, ownerOrAdmin, async (req, res) => {
+    try {
+        const { image } = req;
+        const number = parseInt(req.params.version, 10);
+
+        if (number === image.version) {
+            return res.status(400).json({
+                error: 'Invalid version',
+                message: `Version ${number} is already the current version`
+            });
+        }
+
+        const version = Number.isInteger(number) ? await imageCatalog.findVersion(image.id, number) : null;
+
+        if (!version) {
+            return res.status(404).json({ error: 'Version not found' });
+        }
+
+        const restored = await imageVersions.restore(await currentVersion(image), version, req.userId);
+        const purged = await cachePurge.image(restored);
+        console.log(`Image ${image.id} version ${number} restored as version ${restored.version} by ${req.userId}`);
+
+        res.json({
+            success: true,
+            restoredFrom: number,
+            file: serializeImage(restored),
+            purged
+        });
+    } catch (error) {
+        if (error.status === 409) {
+            return res.status(409).json({ error: 'Conflict', message: error.message });
+        }
+        console.error('Error restoring version:', error);
+        res.status(500).json({ error: 'Failed to restore version', message: error.message });
+    }
+});
+
+// İşlenmiş görüntüyü getir
+app.get('/api/image/:id/:size/:format', optionalAuth, verifySignedUrl, transformableImage, async (req, res) => {
+    try {
+        const { size, format } = req.params;
+        const { image } = req;
+
+        // Boyut ayarlarını parse et (preset adı veya WxH)
+        // Path'teki boyut ve format, query'deki diğer seçeneklerle birleşir
+        let transform;
+        const preset = imageProcessor.preset(size);
+
+        if (preset) {
+            transform = { ...req.query, ...preset, fm: format };
+        } else if (size.includes('x')) {
+            const [width, height] = size.split('x').map(Number);
+            if (isNaN(width) || isNaN(height)) {
+                return res.status(400).json({ error: 'Invalid size format' });
+            }
+            transform = { ...req.query, w: width, h: height, fm: format };
+        } else {
+            return res.status(400).json({ error: 'Invalid size parameter' });
+        }
+
+        const options = imageProcessor.parseTransform(transform);
+
+        await sendVariant(req, res, image, options, preset ? size : null);
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({ error: 'Invalid transformation', message: error.message });
+        }
+        console.error('Error processing image:', error);
+        res.status(500).json({ error: 'Failed to process image', message: error.message });
+    }
+});
+
+// Görüntü bilgisi endpoint'i
+app.get('/api/info/:id', optionalAuth, loadImage, canViewImage, async (req, res) => {
+    try {
+        const { image } = req;
+        const isImage = imageProcessor.canProcess(image.mimetype);
+        const metadata = isImage ? await sharp(await readOriginal(image)).metadata() : null;
+
+        res.json({
+            id: image.id,
+            filename: image.filename,
+            originalName: image.originalName,
+            mimetype: image.mimetype,
+            disk: image.disk,
+            visibility: image.visibility,
+            size: image.size,
+            version: image.version,
+            uploadedBy: image.ownerId,
+            uploadedAt: image.createdAt,
+            metadata: metadata && {
+                width: metadata.width,
+                height: metadata.height,
+                format: metadata.format,
+                space: metadata.space,
+                channels: metadata.channels,
+                density: metadata.density,
+                hasAlpha: metadata.hasAlpha
+            },
+            availableFormats: isImage ? imageProcessor.outputFormats : [],
+            availableSizes: isImage ? [...imageProcessor.presetNames(), 'custom'] : []
+        });
+    } catch (error) {
+        console.error('Error getting image info:', error);
+        res.status(500).json({ error: 'Failed to get image info' });
+    }
+});
+
+// Görüntü ayarlarını güncelle (görünürlük, etiketler) - SAHİBİ VEYA ADMIN
+app.patch(['/api/image/:id', '/api/files/:id'], authenticate, loadImage, ownerOrAdmin, async (req, res) => {
+    try {
+        const { image } = req;
+        const visibility = parseVisibility(req.body.visibility, image.visibility);
+        const tags = req.body.tags !== undefined ? imageCatalog.normalizeTags(req.body.tags) : undefined;
+
+        if (visibility !== image.visibility) {
+            // Orijinalin ve önceki sürümlerin ACL'ini yeni görünürlüğe çevir (içerik yeniden yazılmaz)
+            await imageFiles.setVisibility(image, visibility);
+
+            // Public yanıtlar CDN'de ve eskiden public yazılmış cache nesnelerinde kalmasın
+            if (visibility === 'private') {
+                await cachePurge.image(image);
+            }
+        }
+
+        const updated = await imageCatalog.update(image.id, { visibility, tags });
+
+        res.json({
+            success: true,
+            file: serializeImage(updated)
+        });
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({ error: 'Invalid update', message: error.message });
+        }
+        console.error('Error updating image:', error);
+        res.status(500).json({ error: 'Failed to update image', message: error.message });
+    }
+});
+
+// Görüntünün orijinalini değiştir (id ve URL'ler aynı kalır) - SAHİBİ VEYA ADMIN
+app.put('/api/image/:id', authenticate, loadImage, ownerOrAdmin, acceptUpload(upload, 'image'), async (req, res) => {
+    try {
+        // /api/files ile yüklenen dosyalar görüntüyle değiştirilemez
+        if (!imageProcessor.canProcess(req.image.mimetype)) {
+            return res.status(415).json({
+                error: 'Unsupported Media Type',
+                message: 'Only images can be replaced'
+            });
+        }
+
+        if (!req.file) {
+            return res.status(400).json({ error: 'No file uploaded' });
+        }
+
+        const type = await fileTypes.inspect(req.file, { imagesOnly: true });
+        const image = await replaceUpload(req.image, multipartUpload(req), type);
+
+        // Eski orijinalden üretilmiş varyantlar ve CDN kopyaları geçersiz
+        const purged = await cachePurge.image(image);
+        console.log(`Image ${image.id} replaced with version ${image.version} by ${req.userId}, `
+            + `purged ${purged.variants} variants`);
+
+        res.json({
+            success: true,
+            file: serializeImage(image),
+            purged
+        });
+    } catch (error) {
+        if (error.status === 409) {
+            return res.status(409).json({ error: 'Conflict', message: error.message });
+        }
+        if ([413, 415, 422].includes(error.status)) {
+            return res.status(error.status).json({ error: 'File rejected', message: error.message });
+        }
+        console.error('Error replacing image:', error);
+        res.status(500).json({ error: 'Failed to replace image', message: error.message });
+    }
+});
+
+// Private görüntü için erişim izinlerini listele
+app.get('/api/image/:id/grants', authenticate, loadImage, ownerOrAdmin, async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            grants: await imageCatalog.grants(req.image.id)
+        });
+    } catch (error) {
+        console.error('Error listing grants:', error);
+        res.status(500).json({ error: 'Failed to list grants' });
+    }
+});
+
+// Bir kullanıcıya erişim izni ver
+app.post('/api/image/:id/grants', authenticate, loadImage, ownerOrAdmin, async (req, res) => {
+    try {
+        const { userId } = req.body;
+
+        if (userId === undefined || userId === null || userId === '') {
+            return res.status(400).json({
+                error: 'Missing required fields',
+                message: 'userId is required'
+            });
+        }
+
+        await imageCatalog.grant(req.image.id, userId, req.userId);
+
+        res.status(201).json({
+            success: true,
+            grants: await imageCatalog.grants(req.image.id)
+        });
+    } catch (error) {
+        console.error('Error granting access:', error);
+        res.status(500).json({ error: 'Failed to grant access', message: error.message });
+    }
+});
+
+// Erişim iznini geri al
+app.delete('/api/image/:id/grants/:userId', authenticate, loadImage, ownerOrAdmin, async (req, res) => {
+    try {
+        if (!await imageCatalog.revoke(req.image.id, req.params.userId)) {
+            return res.status(404).json({ error: 'Grant not found' });
+        }
+
+        res.json({
+            success: true,
+            grants: await imageCatalog.grants(req.image.id)
+        });
+    } catch (error) {
+        console.error('Error revoking access:', error);
+        res.status(500).json({ error: 'Failed to revoke access', message: error.message });
+    }
+});
+
+// Private görüntü için kısa ömürlü erişim token'ı üret
+app.post('/api/image/:id/token', authenticate, loadImage, ownerOrAdmin, (req, res) => {
+    const ttl = config.images.accessTokenTtl;
+    const expiresIn = Math.min(parseInt(req.body.expiresIn, 10) || ttl, ttl);
+    const token = authService.generateImageAccessToken(req.image.id, expiresIn);
+
+    res.json({
+        success: true,
+        token,
+        expiresIn,
+        url: `/api/image/${req.image.id}?token=${encodeURIComponent(token)}`
+    });
+});
+
+// Çöp kutusundaki görüntüyü API yanıtına dönüştür
+function serializeTrashed(image) {
+    return {
+        ...serializeImage(image),
+        deletedAt: image.deletedAt,
+        deletedBy: image.deletedBy,
+        purgeAt: trash.purgeAt(image)
+    };
+}
+
+// Görüntü silme endpoint'i - SAHİBİ VEYA ADMIN
+// Görüntü çöp kutusuna taşınır, saklama süresi boyunca geri yüklenebilir
+// Dosyalar disk'te kalır ama private yapılır; varyantlar ve upstream CDN kopyaları temizlenir
+app.delete(['/api/image/:id', '/api/files/:id'], authenticate, loadImage, ownerOrAdmin, async (req, res) => {
+    try {
+        const { image } = req;
+        console.log(`Delete request for image: ${image.id} by user: ${req.userId}`);
+
+        const trashed = await trash.trash(image, req.userId);
+
+        if (!trashed) {
+            return res.status(404).json({ error: 'Image not found' });
+        }
+
+        console.log(`Image ${image.id} moved to trash`);
+
+        res.json({
+            success: true,
+            message: 'Image moved to trash',
+            deletedBy: req.userId,
+            file: serializeTrashed(trashed)
+        });
     } catch (error) {
         console.error('Error deleting image:', error);
         res.status(500).json({
@@ -455,48 +1707,401 @@ app.delete('/api/image/:id', authenticate, async (req, res) => {
     }
 });
 
-// Tüm görüntüleri listele endpoint'i
-app.get('/api/images', async (req, res) => {
+// Çöp kutusunu listele (admin tümünü, diğerleri kendi görüntülerini görür)
+app.get('/api/trash', authenticate, async (req, res) => {
+    try {
+        const ownerId = isAdmin(req.user) ? undefined : req.userId;
+        const images = (await imageCatalog.trashed({ ownerId })).map(serializeTrashed);
+
+        res.json({
+            success: true,
+            count: images.length,
+            retentionDays: config.trash.retentionDays,
+            images
+        });
+    } catch (error) {
+        console.error('Error listing trash:', error);
+        res.status(500).json({ error: 'Failed to list trash' });
+    }
+});
+
+// Çöp kutusundaki görüntüyü geri yükle - SAHİBİ VEYA ADMIN
+app.post('/api/trash/:id/restore', authenticate, loadTrashedImage, ownerOrAdmin, async (req, res) => {
     try {
-        const files = await fs.readdir(UPLOAD_DIR);
-        const images = [];
+        const image = await trash.restore(req.image);
+        console.log(`Image ${image.id} restored from trash by ${req.userId}`);
+
+        res.json({
+            success: true,
+            file: serializeImage(image)
+        });
+    } catch (error) {
+        console.error('Error restoring image:', error);
+        res.status(500).json({ error: 'Failed to restore image', message: error.message });
+    }
+});
 
-        for (const file of files) {
-            const filePath = path.join(UPLOAD_DIR, file);
-            const stats = await fs.stat(filePath);
-            const id = path.parse(file).name;
+// Çöp kutusundaki görüntüyü beklemeden kalıcı olarak sil - SAHİBİ VEYA ADMIN
+app.delete('/api/trash/:id', authenticate, loadTrashedImage, ownerOrAdmin, async (req, res) => {
+    try {
+        await trash.destroy(req.image);
 
-            images.push({
-                id,
-                filename: file,
-                size: stats.size,
-                uploadedAt: stats.birthtime,
-                urls: {
-                    original: `/api/image/${id}`,
-                    thumbnail: `/api/image/${id}/thumbnail/jpeg`,
-                    small: `/api/image/${id}/300x300/webp`,
-                    medium: `/api/image/${id}/800x800/webp`,
-                    large: `/api/image/${id}/1920x1080/webp`
-                }
-            });
-        }
+        res.json({
+            success: true,
+            message: 'Image deleted permanently',
+            deletedBy: req.userId
+        });
+    } catch (error) {
+        console.error('Error destroying image:', error);
+        res.status(500).json({ error: 'Failed to delete image', message: error.message });
+    }
+});
+
+// Katalog listesi: filtreler, sıralama ve cursor ile sayfalama
+// Admin her şeyi, diğerleri public + kendi/izinli dosyaları görür
+async function listCatalog(req, defaults = {}) {
+    const { filters, page } = imageCatalog.parseListQuery(req.query);
+    const viewer = isAdmin(req.user) ? undefined : (req.userId ?? null);
+
+    return await imageCatalog.list({ ...filters, ...defaults, viewer }, page);
+}
+
+// Görüntüleri listele (?owner=&disk=&type=&uploadedAfter=&uploadedBefore=&tag=&sort=&order=&limit=&cursor=)
+app.get('/api/images', optionalAuth, async (req, res) => {
+    try {
+        // type yalnızca görüntü türleri arasında daraltır (ör. image/png)
+        const type = req.query.type && String(req.query.type).toLowerCase().startsWith('image/')
+            ? undefined
+            : 'image';
+        const result = await listCatalog(req, type ? { type } : {});
+        const images = result.images.map(serializeImage);
 
         res.json({
             success: true,
             count: images.length,
+            total: result.total,
+            cursor: result.cursor,
             images
         });
     } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({ error: 'Invalid query', message: error.message });
+        }
         console.error('Error listing images:', error);
         res.status(500).json({ error: 'Failed to list images' });
     }
 });
 
+// Genel dosya yükleme endpoint'i (PDF, video, font, JSON...) - AUTH İLE KORUNMUŞ
+app.post('/api/files', authenticate, acceptUpload(fileUpload, 'file'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'No file uploaded' });
+        }
+
+        const type = await fileTypes.inspect(req.file);
+        const file = await storeUpload(multipartUpload(req), 'files', type);
+
+        console.log('File upload successful:', file.id, file.mimetype, 'to disk:', file.disk);
+
+        res.json({
+            success: true,
+            file: serializeImage(file)
+        });
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({ error: 'Invalid upload', message: error.message });
+        }
+        if ([413, 415, 422].includes(error.status)) {
+            return res.status(error.status).json({ error: 'File rejected', message: error.message });
+        }
+        if (error.status === 409) {
+            return res.status(409).json({ error: 'Conflict', message: error.message });
+        }
+        console.error('File upload error:', error);
+        res.status(500).json({ error: 'Upload failed', message: error.message });
+    }
+});
+
+// Tamamlanan resumable upload'ı doğrula, hedef disk'e yaz ve kataloğa ekle
+// Doğrulama başarısız olursa upload silinir (istemci baştan yüklemelidir)
+// `tenant`: son parçayı gönderen kullanıcının tenant'ı (path şablonundaki {tenant})
+async function finishResumableUpload(session, tenant) {
+    const { filename = 'upload', filetype = '' } = session.metadata;
+    const stagingPath = resumableUploads.stagingPath(session.id);
+    const fileId = uuidv4();
+
+    // Son parçayı aynı anda gönderen istekler (farklı süreçlerde de olsa) dosyayı yalnızca bir kez saklar;
+    // tamamlamayı ilk üstlenen yazar, diğerleri upload'ın güncel halini döndürür
+    if (!(await resumableUploads.claim(session, fileId))) {
+        return await resumableUploads.find(session.id);
+    }
+
+    let type;
+    try {
+        type = await fileTypes.inspect({
+            path: stagingPath,
+            mimetype: filetype,
+            size: session.length,
+            originalname: filename
+        });
+    } catch (error) {
+        await resumableUploads.terminate(session);
+        throw error;
+    }
+
+    let file;
+    try {
+        file = await storeUpload({
+            id: fileId,
+            path: stagingPath,
+            size: session.length,
+            originalName: filename,
+            disk: session.metadata.disk,
+            folder: session.metadata.folder,
+            pathTemplate: session.metadata.path,
+            tenant,
+            visibility: session.metadata.visibility,
+            tags: session.metadata.tags,
+            ownerId: session.ownerId
+        }, type.mimetype.startsWith('image/') ? 'images' : 'files', type);
+    } catch (error) {
+        // Saklanamadıysa istemci son parçayı yeniden göndererek tamamlamayı tekrar deneyebilsin
+        await resumableUploads.release(session, fileId);
+        throw error;
+    }
+
+    console.log('Resumable upload completed:', session.id, '->', file.id, file.mimetype);
+
+    return await resumableUploads.complete(session);
+}
+
+// tus route'larında doğrulama hatalarını JSON'a çevir
+function sendUploadError(res, error) {
+    if (error.status === 400) {
+        return res.status(400).json({ error: 'Invalid upload', message: error.message });
+    }
+    if (error.status === 409) {
+        return res.status(409).json({ error: 'Conflict', message: error.message });
+    }
+    if ([413, 415, 422, 423].includes(error.status)) {
+        return res.status(error.status).json({ error: 'Upload rejected', message: error.message });
+    }
+    console.error('Resumable upload error:', error);
+    res.status(500).json({ error: 'Upload failed', message: error.message });
+}
+
+// Resumable upload oluştur (tus creation / creation-with-upload) - AUTH İLE KORUNMUŞ
+app.post('/api/tus', authenticate, async (req, res) => {
+    try {
+        const lengthHeader = req.get('Upload-Length');
+        const length = Number(lengthHeader);
+
+        if (!lengthHeader || !Number.isSafeInteger(length) || length < 0) {
+            return res.status(400).json({
+                error: 'Invalid upload',
+                message: 'Upload-Length header must be a non-negative integer'
+            });
+        }
+
+        if (length > config.files.maxSize) {
+            return res.status(413).json({
+                error: 'Upload rejected',
+                message: `Upload-Length exceeds the maximum of ${config.files.maxSize} bytes`
+            });
+        }
+
+        const metadata = resumableUploads.parseMetadata(req.get('Upload-Metadata'));
+        if (metadata.disk && !storage.disks[metadata.disk]) {
+            return res.status(400).json({
+                error: 'Invalid upload',
+                message: `Storage disk "${metadata.disk}" is not configured`
+            });
+        }
+        parseVisibility(metadata.visibility, config.images.defaultVisibility);
+        checkUploadPath(req, metadata.disk || config.storage?.default || 'local', metadata);
+        if (metadata.tags !== undefined) {
+            imageCatalog.normalizeTags(metadata.tags);
+        }
+
+        // Bildirilen tür izinli değilse baştan reddet (asıl kontrol tamamlanınca içerikten yapılır)
+        const claimed = fileTypes.normalize(metadata.filetype);
+        if (claimed && claimed !== 'application/octet-stream' && !fileTypes.isAllowed(claimed)) {
+            return res.status(415).json({
+                error: 'Upload rejected',
+                message: `File type ${claimed} is not allowed`
+            });
+        }
+
+        let session = await resumableUploads.create({ ownerId: req.userId, length, metadata });
+        res.set('Location', `/api/tus/${session.id}`);
+
+        // İlk parça oluşturma isteğinin gövdesinde gelebilir
+        if (req.is('application/offset+octet-stream')) {
+            session = await resumableUploads.append(session, req);
+        }
+
+        if (session.offset === session.length) {
+            session = await finishResumableUpload(session, req.user?.tenant);
+        }
+
+        setUploadHeaders(res, session);
+        res.status(201).end();
+    } catch (error) {
+        sendUploadError(res, error);
+    }
+});
+
+// Upload durumu (kaldığı offset)
+app.head('/api/tus/:id', authenticate, loadUpload, sendUploadStatus);
+
+// Parça ekle; son parçada dosya doğrulanıp hedef disk'e yazılır
+// Offset'i aynı anda değiştiren istekler (başka replica'larda da olsa) veritabanı kilidiyle sıraya girer
+app.patch('/api/tus/:id', authenticate, loadUpload, checkUploadOffset, async (req, res) => {
+    try {
+        let session = req.upload;
+
+        if (!session.fileId) {
+            session = await resumableUploads.append(session, req);
+
+            if (session.offset === session.length) {
+                session = await finishResumableUpload(session, req.user?.tenant);
+            }
+        }
+
+        setUploadHeaders(res, session);
+        res.status(204).end();
+    } catch (error) {
+        sendUploadError(res, error);
+    }
+});
+
+// Upload'ı iptal et (tus termination)
+app.delete('/api/tus/:id', authenticate, loadUpload, terminateUpload);
+
+// Tüm dosyaları listele (/api/images ile aynı filtreler; ?type=application ile MIME grubuna göre süz)
+app.get('/api/files', optionalAuth, async (req, res) => {
+    try {
+        const result = await listCatalog(req);
+        const files = result.images.map(serializeImage);
+
+        res.json({
+            success: true,
+            count: files.length,
+            total: result.total,
+            cursor: result.cursor,
+            files
+        });
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({ error: 'Invalid query', message: error.message });
+        }
+        console.error('Error listing files:', error);
+        res.status(500).json({ error: 'Failed to list files' });
+    }
+});
+
+// Dosyayı olduğu gibi getir (?download=1 ile indirme olarak)
+app.get('/api/files/:id', optionalAuth, loadImage, canViewImage, async (req, res) => {
+    try {
+        if (req.query.download === '1' || req.query.download === 'true') {
+            res.attachment(req.image.originalName || req.image.filename);
+        }
+        await sendOriginal(req, res, req.image);
+    } catch (error) {
+        console.error('Error serving file:', error);
+        res.status(500).json({ error: 'Failed to serve file' });
+    }
+});
+
+// Bir görüntünün tüm varyantlarını cache'ten temizle - yalnızca admin
+app.delete('/api/cache/images/:id', authenticate, authorize('admin'), loadImage, async (req, res) => {
+    try {
+        const purged = await cachePurge.image(req.image);
+        console.log(`Cache purged for image ${req.image.id} by ${req.userId}:`, purged);
+        res.json({ success: true, purged });
+    } catch (error) {
+        console.error('Error purging image cache:', error);
+        res.status(500).json({ error: 'Failed to purge cache', message: error.message });
+    }
+});
+
+// Bir preset ile üretilmiş tüm varyantları temizle (preset tanımı değiştiğinde) - yalnızca admin
+app.delete('/api/cache/presets/:name', authenticate, authorize('admin'), async (req, res) => {
+    try {
+        const purged = await cachePurge.preset(req.params.name);
+        console.log(`Cache purged for preset ${req.params.name} by ${req.userId}:`, purged);
+        res.json({ success: true, purged });
+    } catch (error) {
+        console.error('Error purging preset cache:', error);
+        res.status(500).json({ error: 'Failed to purge cache', message: error.message });
+    }
+});
+
+// Cache tag'ine göre temizle (image:<id>, owner:<userId>, type:<grup>, preset:<ad>) - yalnızca admin
+app.delete('/api/cache/tags/:tag', authenticate, authorize('admin'), async (req, res) => {
+    try {
+        const purged = await cachePurge.tag(req.params.tag);
+        console.log(`Cache purged for tag ${req.params.tag} by ${req.userId}:`, purged);
+        res.json({ success: true, purged });
+    } catch (error) {
+        console.error('Error purging tagged cache:', error);
+        res.status(500).json({ error: 'Failed to purge cache', message: error.message });
+    }
+});
+
+// Storage disk'indeki dosya ve klasörleri listele (sayfalı) - AUTH İLE KORUNMUŞ
+// Katalogdan bağımsız, disk'teki ham anahtarları gösterir (private dosyalar dahil);
+// admin'ler disk'in tamamını, diğer kullanıcılar yalnızca STORAGE_LIST_SCOPE'un onlara ayırdığı klasörü listeler
+app.get('/api/storage/:disk', authenticate, async (req, res) => {
+    const scope = isAdmin(req.user)
+        ? ''
+        : objectKeys.scope(config.storage.listScope, { tenant: req.user?.tenant, ownerId: req.userId });
+
+    if (scope === null) {
+        return res.status(403).json({ error: 'Forbidden', message: 'Insufficient permissions' });
+    }
+
+    const directory = req.query.directory || scope;
+
+    if (scope && !objectKeys.inScope(directory, scope)) {
+        return res.status(403).json({ error: 'Forbidden', message: `Only "${scope}" can be listed` });
+    }
+
+    let disk;
+    try {
+        disk = storage.disk(req.params.disk);
+    } catch (error) {
+        return res.status(404).json({ error: 'Disk not found', message: error.message });
+    }
+
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 1000);
+        const page = await disk.list(directory, {
+            recursive: ['1', 'true'].includes(req.query.recursive),
+            limit,
+            cursor: req.query.cursor || null
+        });
+
+        res.json({
+            disk: req.params.disk,
+            directory,
+            ...page
+        });
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({ error: 'Invalid directory', message: error.message });
+        }
+        console.error('Error listing storage:', error);
+        res.status(500).json({ error: 'Failed to list storage' });
+    }
+});
+
 // Sistem bilgileri
 app.get('/info', async (req, res) => {
     const [uploadCount, cacheCount] = await Promise.all([
-        fs.readdir(UPLOAD_DIR).then(files => files.length).catch(() => 0),
-        fs.readdir(CACHE_DIR).then(files => files.length).catch(() => 0)
+        imageCatalog.count().catch(() => 0),
+        imageCatalog.countVariants().catch(() => 0)
     ]);
 
     res.json({
@@ -508,8 +2113,12 @@ app.get('/info', async (req, res) => {
             cachedImages: cacheCount
         },
         limits: {
-            maxFileSize: '50MB',
-            supportedFormats: ['jpeg', 'jpg', 'png', 'webp', 'gif', 'svg', 'bmp', 'tiff']
+            maxFileSize: `${Math.round(config.files.maxSize / 1024 / 1024)}MB`,
+            supportedFormats: {
+                input: imageProcessor.inputFormats,
+                output: imageProcessor.outputFormats
+            },
+            allowedFileTypes: config.files.types
         },
         uptime: process.uptime(),
         memory: process.memoryUsage()
@@ -518,6 +2127,7 @@ app.get('/info', async (req, res) => {
 
 // Metrics endpoint
 app.get('/metrics', (req, res) => {
+    const cacheStats = derivativeCache.stats();
     const metrics = `# HELP cdn_services_up CDN Services is up
 # TYPE cdn_services_up gauge
 cdn_services_up 1
@@ -529,6 +2139,14 @@ cdn_services_version{version="2.0.0"} 1
 # HELP process_uptime_seconds Process uptime
 # TYPE process_uptime_seconds gauge
 process_uptime_seconds ${process.uptime()}
+
+# HELP cdn_services_cache_hits_total Derivative cache hits
+# TYPE cdn_services_cache_hits_total counter
+cdn_services_cache_hits_total{driver="${cacheStats.driver}"} ${cacheStats.hits}
+
+# HELP cdn_services_cache_misses_total Derivative cache misses
+# TYPE cdn_services_cache_misses_total counter
+cdn_services_cache_misses_total{driver="${cacheStats.driver}"} ${cacheStats.misses}
 `;
 
     res.set('Content-Type', 'text/plain');
@@ -559,8 +2177,8 @@ const server = app.listen(PORT, '0.0.0.0', () => {
     console.log('CDN Services - Image Processing');
     console.log('================================');
     console.log(`Port: ${PORT}`);
-    console.log(`Upload Dir: ${UPLOAD_DIR}`);
-    console.log(`Cache Dir: ${CACHE_DIR}`);
+    console.log(`Storage: ${config.storage.default} (delivery: ${config.storage.delivery})`);
+    console.log(`Cache: ${derivativeCache.driver}`);
     console.log('\nEndpoints:');
     console.log(`  - Upload: POST http://localhost:${PORT}/api/upload`);
     console.log(`  - Original: GET http://localhost:${PORT}/api/image/:id`);
@@ -32,6 +32,14 @@ const authenticate = (req, res, next) => {
         // Verify token
         try {
             const decoded = jwt.verify(token, config.security.jwtSecret);
+
+            // Scoped tokens (image share links) only grant what their scope names
+            if (decoded.scope) {
+                return res.status(401).json({
+                    error: 'Unauthorized',
+                    message: 'Access tokens cannot be used to authenticate'
+                });
+            }
             
             // Attach user info to request
             req.user = decoded;
@@ -76,8 +84,12 @@ const optionalAuth = (req, res, next) => {
             if (token) {
                 try {
                     const decoded = jwt.verify(token, config.security.jwtSecret);
-                    req.user = decoded;
-                    req.userId = decoded.id || decoded.userId || decoded.sub;
+
+                    // Scoped tokens (image share links) do not identify a user
+                    if (!decoded.scope) {
+                        req.user = decoded;
+                        req.userId = decoded.id || decoded.userId || decoded.sub;
+                    }
                 } catch (error) {
                     // Ignore invalid tokens in optional auth
                 }
@@ -93,9 +105,14 @@ const optionalAuth = (req, res, next) => {
 
 /**
  * Role-based authorization middleware
+ * Accepts role names and policy functions `(req) => boolean | Promise<boolean>`;
+ * the request passes when the user has one of the roles or any policy allows it
  */
-const authorize = (...roles) => {
-    return (req, res, next) => {
+const authorize = (...rules) => {
+    const roles = rules.filter((rule) => typeof rule === 'string');
+    const policies = rules.filter((rule) => typeof rule === 'function');
+
+    return async (req, res, next) => {
         if (!req.user) {
             return res.status(401).json({
                 error: 'Unauthorized',
@@ -104,15 +121,25 @@ const authorize = (...roles) => {
         }
 
         const userRole = req.user.role || req.user.roles?.[0];
-        
-        if (!roles.includes(userRole)) {
-            return res.status(403).json({
-                error: 'Forbidden',
-                message: 'Insufficient permissions'
-            });
+
+        if (roles.includes(userRole)) {
+            return next();
         }
 
-        next();
+        try {
+            for (const policy of policies) {
+                if (await policy(req)) {
+                    return next();
+                }
+            }
+        } catch (error) {
+            return next(error);
+        }
+
+        return res.status(403).json({
+            error: 'Forbidden',
+            message: 'Insufficient permissions'
+        });
     };
 };
 
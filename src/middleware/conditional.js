@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+
+/**
+ * Content hash of a buffer, stored as the ETag of originals and variants
+ */
+const contentHash = (contents) => crypto.createHash('sha256').update(contents).digest('hex');
+
+/**
+ * Content hash of a stream, without buffering it
+ */
+const streamHash = async (stream) => {
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of stream) {
+        hash.update(chunk);
+    }
+    return hash.digest('hex');
+};
+
+/**
+ * Set the validators `req.fresh` compares `If-None-Match` and `If-Modified-Since` against
+ */
+const setValidators = (res, etag, lastModified) => {
+    res.set('ETag', `"${etag}"`);
+    if (lastModified) {
+        res.set('Last-Modified', new Date(lastModified).toUTCString());
+    }
+};
+
+/**
+ * The single byte range a request asks for: null when there is none or it does
+ * not apply, -1 when it cannot be satisfied
+ * Multiple ranges (multipart/byteranges) are not supported, the whole content is sent
+ */
+const requestedRange = (req, res, size) => {
+    if (!req.get('Range')) {
+        return null;
+    }
+
+    // A stale If-Range means the content changed, send all of it
+    const ifRange = req.get('If-Range');
+    if (ifRange && ifRange !== res.get('ETag') && ifRange !== res.get('Last-Modified')) {
+        return null;
+    }
+
+    const ranges = req.range(size, { combine: true });
+
+    if (ranges === -1) {
+        return -1;
+    }
+
+    if (ranges === -2 || ranges.type !== 'bytes' || ranges.length !== 1) {
+        return null;
+    }
+
+    return ranges[0];
+};
+
+/**
+ * Answer a GET or HEAD for a stored file once its validators are set:
+ * 304 when the client's copy is fresh, 206 for a byte range, 416 for a range past the end,
+ * otherwise the whole file, streamed from the disk
+ */
+const sendStream = async (req, res, disk, filePath, size = null) => {
+    res.set('Accept-Ranges', 'bytes');
+
+    if (req.fresh) {
+        return res.status(304).end();
+    }
+
+    const length = size || await disk.size(filePath);
+    const range = requestedRange(req, res, length);
+
+    if (range === -1) {
+        res.set('Content-Range', `bytes */${length}`);
+        return res.status(416).end();
+    }
+
+    if (range) {
+        res.status(206);
+        res.set('Content-Range', `bytes ${range.start}-${range.end}/${length}`);
+    }
+    res.set('Content-Length', String(range ? range.end - range.start + 1 : length));
+
+    if (req.method === 'HEAD') {
+        return res.end();
+    }
+
+    const stream = await disk.readStream(filePath, { range: range || undefined });
+
+    try {
+        await pipeline(stream, res);
+    } catch (error) {
+        // Once the response started the error cannot become JSON; a client that went away is not one
+        if (!res.headersSent) {
+            throw error;
+        }
+        if (error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+            console.error('Error streaming file:', filePath, error.message);
+        }
+    }
+};
+
+module.exports = {
+    contentHash,
+    streamHash,
+    setValidators,
+    requestedRange,
+    sendStream,
+};
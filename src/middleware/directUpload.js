@@ -0,0 +1,12 @@
+const directUploads = require('../services/directUploads');
+const { uploadLoader } = require('./uploadLoader');
+
+/**
+ * Load the direct upload named by `:id` into `req.directUpload`
+ * Only its creator or an admin may finalize it; expired unfinished uploads are gone (410)
+ */
+const loadDirectUpload = uploadLoader(directUploads, 'directUpload');
+
+module.exports = {
+    loadDirectUpload
+};
@@ -0,0 +1,93 @@
+const imageCatalog = require('../services/imageCatalog');
+const authService = require('../services/authService');
+
+const ADMIN_ROLE = 'admin';
+
+/**
+ * Check whether the authenticated user has the admin role
+ */
+const isAdmin = (user) => Boolean(user) && (user.role === ADMIN_ROLE || (user.roles || []).includes(ADMIN_ROLE));
+
+/**
+ * Ownership policy for `authorize()`: the user uploaded the image
+ */
+const ownsImage = (req) => Boolean(req.image) && req.userId !== undefined
+    && req.image.ownerId === String(req.userId);
+
+/**
+ * Load the image named by `:id` into `req.image`, or answer 404
+ */
+const loadImage = async (req, res, next) => {
+    try {
+        req.image = await imageCatalog.find(req.params.id);
+
+        if (!req.image) {
+            return res.status(404).json({ error: 'Image not found' });
+        }
+
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Load the trashed image named by `:id` into `req.image`, or answer 404
+ */
+const loadTrashedImage = async (req, res, next) => {
+    try {
+        req.image = await imageCatalog.findTrashed(req.params.id);
+
+        if (!req.image) {
+            return res.status(404).json({ error: 'Image not found in trash' });
+        }
+
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Let private images through only for their owner, admins, granted users
+ * or a valid `?token=` access token. Public images are always served.
+ */
+const canViewImage = async (req, res, next) => {
+    const { image } = req;
+
+    if (image.visibility !== 'private' || ownsImage(req) || isAdmin(req.user)) {
+        return next();
+    }
+
+    try {
+        if (req.userId !== undefined && await imageCatalog.hasGrant(image.id, req.userId)) {
+            return next();
+        }
+    } catch (error) {
+        return next(error);
+    }
+
+    if (typeof req.query.token === 'string' && authService.verifyImageAccessToken(req.query.token, image.id)) {
+        return next();
+    }
+
+    if (!req.user && req.query.token === undefined) {
+        return res.status(401).json({
+            error: 'Unauthorized',
+            message: 'This image is private'
+        });
+    }
+
+    return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You do not have access to this image'
+    });
+};
+
+module.exports = {
+    isAdmin,
+    ownsImage,
+    loadImage,
+    loadTrashedImage,
+    canViewImage
+};
@@ -0,0 +1,43 @@
+const authService = require('../services/authService');
+const imageProcessor = require('../services/imageProcessor');
+const config = require('../config');
+
+/**
+ * Signed URL middleware
+ * Verifies the `s` signature of transformation requests. In `enforce` mode
+ * unsigned transformations are rejected; presets and originals stay public.
+ */
+const verifySignedUrl = (req, res, next) => {
+    const mode = config.images.signatureMode;
+    const isTransformation = Boolean(req.params.format) || imageProcessor.hasTransform(req.query);
+
+    if (mode === 'off' || !isTransformation) {
+        return next();
+    }
+
+    if (req.query.s === undefined) {
+        if (mode === 'enforce') {
+            return res.status(403).json({
+                error: 'Forbidden',
+                message: 'Signature required for custom transformations, use a preset or a signed URL'
+            });
+        }
+        return next();
+    }
+
+    try {
+        // Private image access tokens are appended after signing; the signature (`s`) is checked by the service
+        const query = Object.fromEntries(Object.entries(req.query).filter(([key]) => key !== 'token'));
+        authService.verifyImageSignature(req.path, query);
+        next();
+    } catch (error) {
+        return res.status(error.status || 403).json({
+            error: 'Forbidden',
+            message: error.message
+        });
+    }
+};
+
+module.exports = {
+    verifySignedUrl
+};
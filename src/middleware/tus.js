@@ -0,0 +1,117 @@
+const resumableUploads = require('../services/resumableUploads');
+const { uploadLoader } = require('./uploadLoader');
+const config = require('../config');
+
+const TUS_VERSION = '1.0.0';
+const TUS_EXTENSIONS = ['creation', 'creation-with-upload', 'termination', 'expiration'];
+
+/**
+ * tus protocol middleware
+ * Adds `Tus-Resumable` to every response, announces the server's capabilities
+ * on OPTIONS, honours `X-HTTP-Method-Override` and rejects other protocol versions
+ */
+const tusProtocol = (req, res, next) => {
+    res.set('Tus-Resumable', TUS_VERSION);
+
+    const override = req.get('X-HTTP-Method-Override');
+    if (override) {
+        req.method = override.toUpperCase();
+    }
+
+    // Discovery; the CORS middleware answers the request itself
+    if (req.method === 'OPTIONS') {
+        res.set({
+            'Tus-Version': TUS_VERSION,
+            'Tus-Extension': TUS_EXTENSIONS.join(','),
+            'Tus-Max-Size': String(config.files.maxSize)
+        });
+        return next();
+    }
+
+    if (req.get('Tus-Resumable') !== TUS_VERSION) {
+        res.set('Tus-Version', TUS_VERSION);
+        return res.status(412).json({
+            error: 'Precondition Failed',
+            message: `Tus-Resumable: ${TUS_VERSION} header is required`
+        });
+    }
+
+    next();
+};
+
+/**
+ * Load the upload named by `:id` into `req.upload`
+ * Only its creator or an admin may touch it; expired unfinished uploads are gone (410)
+ */
+const loadUpload = uploadLoader(resumableUploads, 'upload');
+
+/**
+ * Add the state of an upload to a tus response
+ */
+const setUploadHeaders = (res, upload) => {
+    res.set('Upload-Offset', String(upload.offset));
+    res.set('Upload-Length', String(upload.length));
+    if (upload.fileId) {
+        res.set('X-File-Id', upload.fileId);
+    } else if (upload.expiresAt) {
+        res.set('Upload-Expires', upload.expiresAt.toUTCString());
+    }
+};
+
+/**
+ * Check a PATCH before its chunk is read: the body must be an
+ * `application/offset+octet-stream` sent from the upload's current offset
+ */
+const checkUploadOffset = (req, res, next) => {
+    if (!req.is('application/offset+octet-stream')) {
+        return res.status(415).json({
+            error: 'Unsupported Media Type',
+            message: 'Content-Type must be application/offset+octet-stream'
+        });
+    }
+
+    if (Number(req.get('Upload-Offset')) !== req.upload.offset) {
+        setUploadHeaders(res, req.upload);
+        return res.status(409).json({
+            error: 'Conflict',
+            message: `Upload-Offset does not match the current offset (${req.upload.offset})`
+        });
+    }
+
+    next();
+};
+
+/**
+ * HEAD: where to resume the upload from
+ */
+const sendUploadStatus = (req, res) => {
+    setUploadHeaders(res, req.upload);
+    if (Object.keys(req.upload.metadata).length > 0) {
+        res.set('Upload-Metadata', resumableUploads.formatMetadata(req.upload.metadata));
+    }
+    res.set('Cache-Control', 'no-store');
+    res.status(200).end();
+};
+
+/**
+ * DELETE: cancel the upload and drop its staged chunks (tus termination)
+ */
+const terminateUpload = async (req, res) => {
+    try {
+        await resumableUploads.terminate(req.upload);
+        res.status(204).end();
+    } catch (error) {
+        console.error('Resumable upload termination error:', error);
+        res.status(500).json({ error: 'Failed to terminate upload' });
+    }
+};
+
+module.exports = {
+    TUS_VERSION,
+    tusProtocol,
+    loadUpload,
+    setUploadHeaders,
+    checkUploadOffset,
+    sendUploadStatus,
+    terminateUpload
+};
@@ -0,0 +1,38 @@
+const { isAdmin } = require('./imageAccess');
+
+/**
+ * Build a middleware that loads the upload named by `:id` into `req[property]`
+ * `service` is an upload store (resumableUploads, directUploads) with `find` and
+ * `terminate`. Only the upload's creator or an admin may touch it; expired
+ * unfinished uploads are gone (410)
+ */
+const uploadLoader = (service, property) => async (req, res, next) => {
+    try {
+        const upload = await service.find(req.params.id);
+
+        if (!upload) {
+            return res.status(404).json({ error: 'Upload not found' });
+        }
+
+        if (upload.ownerId !== String(req.userId) && !isAdmin(req.user)) {
+            return res.status(403).json({
+                error: 'Forbidden',
+                message: 'Insufficient permissions'
+            });
+        }
+
+        if (!upload.fileId && upload.expiresAt && upload.expiresAt < new Date()) {
+            await service.terminate(upload);
+            return res.status(410).json({ error: 'Upload expired' });
+        }
+
+        req[property] = upload;
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    uploadLoader
+};
@@ -1,17 +1,24 @@
 const Redis = require('ioredis');
 const config = require('./config');
 
-const redis = new Redis({
-    host: config.redis.host,
-    port: config.redis.port,
-    password: config.redis.password,
+const options = {
     maxRetriesPerRequest: 3,
     enableReadyCheck: true,
     retryStrategy: (times) => {
         const delay = Math.min(times * 50, 2000);
         return delay;
     },
-});
+};
+
+// REDIS_URL takes precedence over host/port (docker-compose sets the URL)
+const redis = config.redis.url
+    ? new Redis(config.redis.url, options)
+    : new Redis({
+        host: config.redis.host,
+        port: config.redis.port,
+        password: config.redis.password,
+        ...options,
+    });
 
 redis.on('connect', () => {
     console.log('Redis connected successfully');
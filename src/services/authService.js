@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const config = require('../config');
@@ -77,6 +78,113 @@ class AuthService {
         };
     }
 
+    /**
+     * Audience of image access tokens, distinct from the login token audience
+     * so a share link token is never accepted where a login is expected
+     */
+    imageTokenAudience() {
+        return `${config.app.url}#image-access`;
+    }
+
+    /**
+     * Issue a short-lived token that grants read access to one private image
+     */
+    generateImageAccessToken(imageId, expiresIn = config.images.accessTokenTtl) {
+        return jwt.sign({ imageId, scope: 'image:read' }, config.security.jwtSecret, {
+            issuer: config.app.name,
+            audience: this.imageTokenAudience(),
+            expiresIn,
+        });
+    }
+
+    /**
+     * Check that an access token is valid for the given image
+     */
+    verifyImageAccessToken(token, imageId) {
+        try {
+            const decoded = jwt.verify(token, config.security.jwtSecret, {
+                issuer: config.app.name,
+                audience: this.imageTokenAudience(),
+            });
+            return decoded.scope === 'image:read' && decoded.imageId === imageId;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Sign an image URL path and its transformation parameters
+     * Returns the path with the sorted parameters, optional `expires` and the `s` signature
+     */
+    signImageUrl(urlPath, params = {}, expiresIn = null) {
+        const signedParams = { ...params };
+
+        if (expiresIn) {
+            signedParams.expires = Math.floor(Date.now() / 1000) + expiresIn;
+        }
+
+        const signature = this.imageSignature(urlPath, signedParams);
+        const query = this.canonicalQuery(signedParams);
+
+        return `${urlPath}?${query ? `${query}&` : ''}s=${signature}`;
+    }
+
+    /**
+     * Verify the `s` signature (and `expires`) of a signed image URL
+     * Throws an error with status 403 when the signature is missing, wrong or expired
+     */
+    verifyImageSignature(urlPath, query = {}) {
+        const { s: signature, ...params } = query;
+        const fail = (message) => {
+            const error = new Error(message);
+            error.status = 403;
+            return error;
+        };
+
+        if (typeof signature !== 'string' || Object.values(params).some((value) => typeof value !== 'string')) {
+            throw fail('Invalid signature');
+        }
+
+        const expected = Buffer.from(this.imageSignature(urlPath, params));
+        const given = Buffer.from(signature);
+
+        if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+            throw fail('Invalid signature');
+        }
+
+        if (params.expires !== undefined && Number(params.expires) < Math.floor(Date.now() / 1000)) {
+            throw fail('Signature has expired');
+        }
+
+        return true;
+    }
+
+    /**
+     * HMAC-SHA256 (base64url) over the path and canonical query string
+     */
+    imageSignature(urlPath, params = {}) {
+        const query = this.canonicalQuery(params);
+
+        return crypto
+            .createHmac('sha256', config.security.urlSigningSecret)
+            .update(query ? `${urlPath}?${query}` : urlPath)
+            .digest('base64url');
+    }
+
+    /**
+     * Parameters sorted by key and RFC 3986 encoded (matches PHP's rawurlencode)
+     */
+    canonicalQuery(params = {}) {
+        const encode = (value) => encodeURIComponent(String(value))
+            .replace(/[!'()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+        return Object.keys(params)
+            .filter((key) => params[key] !== undefined && params[key] !== null)
+            .sort()
+            .map((key) => `${encode(key)}=${encode(params[key])}`)
+            .join('&');
+    }
+
     /**
      * Extract token from request
      */
@@ -0,0 +1,62 @@
+// Statuses a file can be refused with; anything else is a server error
+const REJECTIONS = [400, 409, 413, 415, 422];
+
+/**
+ * Batch Uploads
+ * Stores the files of a multi-file upload one at a time and reports a result
+ * per file. In atomic mode a single failure rolls back every stored file.
+ */
+class BatchUploads {
+    /**
+     * Store `files` (multer files with their `index` in the request) in order
+     * `store(file)` resolves the stored image; `rollback(image)` removes one again (atomic mode)
+     * Returns { results, uploaded, failed, rolledBack }; successful results carry the `image`
+     */
+    async storeAll(files, store, { atomic = false, rollback = null } = {}) {
+        const results = [];
+
+        for (const file of files) {
+            const result = { index: file.index, originalName: file.originalname };
+
+            try {
+                results.push({ ...result, success: true, image: await store(file) });
+            } catch (error) {
+                const status = REJECTIONS.includes(error.status) ? error.status : 500;
+
+                if (status === 500) {
+                    console.error('Batch upload error:', file.originalname, error);
+                }
+                results.push({
+                    ...result, success: false, status, error: error.message,
+                });
+            }
+        }
+
+        const stored = results.filter((result) => result.success);
+        const failed = results.length - stored.length;
+
+        if (!atomic || failed === 0) {
+            return {
+                results, uploaded: stored.length, failed, rolledBack: false,
+            };
+        }
+
+        for (const result of stored) {
+            await rollback(result.image);
+        }
+
+        return {
+            // Rolled back files are gone, only their position and name remain
+            results: results.map((result) => (result.success
+                ? {
+                    index: result.index, originalName: result.originalName, success: false, rolledBack: true,
+                }
+                : result)),
+            uploaded: 0,
+            failed,
+            rolledBack: true,
+        };
+    }
+}
+
+module.exports = new BatchUploads();
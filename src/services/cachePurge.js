@@ -0,0 +1,94 @@
+const derivativeCache = require('../cache');
+const cdnPurger = require('../cdn');
+const imageCatalog = require('./imageCatalog');
+
+/**
+ * Cache Purge
+ * Drops cached derivatives from the derivative cache and forwards the purge
+ * to the upstream CDN / reverse proxy so edge copies are refreshed as well
+ */
+class CachePurge {
+    /**
+     * Cache tags of a response: the image, its owner and MIME group, and the preset it was rendered with
+     */
+    tagsFor(image, preset = null) {
+        return [
+            `image:${image.id}`,
+            image.ownerId ? `owner:${image.ownerId}` : null,
+            image.mimetype ? `type:${image.mimetype.split('/')[0]}` : null,
+            preset ? `preset:${preset}` : null,
+        ].filter(Boolean);
+    }
+
+    /**
+     * Purge every variant of an image; upstream, the original is purged too
+     */
+    async image(image) {
+        const variants = await imageCatalog.variants(image.id);
+        await this.drop(variants);
+
+        const upstream = await this.forward({
+            paths: [`/api/image/${image.id}*`, `/api/files/${image.id}*`],
+            tags: [`image:${image.id}`],
+        });
+
+        return { variants: variants.length, upstream };
+    }
+
+    /**
+     * Purge the variants rendered with a preset, e.g. after its definition changed
+     */
+    async preset(name) {
+        const variants = await imageCatalog.variantsTagged(`preset:${name}`);
+        await this.drop(variants);
+
+        const imageIds = [...new Set(variants.map((variant) => variant.imageId))];
+        const upstream = await this.forward({
+            paths: imageIds.flatMap((id) => [`/api/image/${id}/preset/${name}`, `/api/image/${id}/${name}/*`]),
+            tags: [`preset:${name}`],
+        });
+
+        return { variants: variants.length, upstream };
+    }
+
+    /**
+     * Purge the variants carrying a cache tag (e.g. `owner:42` when moderating a user)
+     */
+    async tag(tag) {
+        const variants = await imageCatalog.variantsTagged(tag);
+        await this.drop(variants);
+
+        const imageIds = [...new Set(variants.map((variant) => variant.imageId))];
+        const upstream = await this.forward({
+            paths: imageIds.map((id) => `/api/image/${id}*`),
+            tags: [tag],
+        });
+
+        return { variants: variants.length, upstream };
+    }
+
+    /**
+     * Delete variants from the derivative cache and the registry
+     */
+    async drop(variants) {
+        for (const variant of variants) {
+            await derivativeCache.delete(variant.cacheKey);
+            await imageCatalog.deleteVariant(variant.cacheKey);
+        }
+    }
+
+    /**
+     * Forward a purge upstream; a failing CDN is logged but does not undo the local purge
+     */
+    async forward(request) {
+        try {
+            await cdnPurger.purge(request);
+            return true;
+        } catch (error) {
+            console.error('Upstream purge failed:', error.message);
+            return false;
+        }
+    }
+}
+
+module.exports = new CachePurge();
@@ -0,0 +1,277 @@
+const { TextDecoder } = require('util');
+
+// Binary signatures: bytes expected at an offset ('?' characters and null bytes are ignored)
+const SIGNATURES = [
+    { type: 'image/jpeg', offset: 0, bytes: [0xFF, 0xD8, 0xFF] },
+    { type: 'image/png', offset: 0, bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] },
+    { type: 'image/gif', offset: 0, bytes: 'GIF87a' },
+    { type: 'image/gif', offset: 0, bytes: 'GIF89a' },
+    { type: 'image/webp', offset: 0, bytes: 'RIFF????WEBP' },
+    { type: 'audio/wav', offset: 0, bytes: 'RIFF????WAVE' },
+    { type: 'video/x-msvideo', offset: 0, bytes: 'RIFF????AVI ' },
+    { type: 'image/tiff', offset: 0, bytes: [0x49, 0x49, 0x2A, 0x00] },
+    { type: 'image/tiff', offset: 0, bytes: [0x4D, 0x4D, 0x00, 0x2A] },
+    { type: 'image/bmp', offset: 0, bytes: [0x42, 0x4D, null, null, null, null, 0x00, 0x00, 0x00, 0x00] },
+    { type: 'image/x-icon', offset: 0, bytes: [0x00, 0x00, 0x01, 0x00] },
+    { type: 'image/jxl', offset: 0, bytes: [0xFF, 0x0A] },
+    { type: 'image/jxl', offset: 0, bytes: [0x00, 0x00, 0x00, 0x0C, 0x4A, 0x58, 0x4C, 0x20] },
+    { type: 'application/pdf', offset: 0, bytes: '%PDF-' },
+    { type: 'audio/ogg', offset: 0, bytes: 'OggS' },
+    { type: 'audio/flac', offset: 0, bytes: 'fLaC' },
+    { type: 'audio/mpeg', offset: 0, bytes: 'ID3' },
+    { type: 'font/woff', offset: 0, bytes: 'wOFF' },
+    { type: 'font/woff2', offset: 0, bytes: 'wOF2' },
+    { type: 'font/otf', offset: 0, bytes: 'OTTO' },
+    { type: 'font/ttf', offset: 0, bytes: [0x00, 0x01, 0x00, 0x00, 0x00] },
+    { type: 'application/zip', offset: 0, bytes: [0x50, 0x4B, 0x03, 0x04] },
+    { type: 'application/gzip', offset: 0, bytes: [0x1F, 0x8B, 0x08] },
+];
+
+// ISO base media (`ftyp` box) major brands
+const FTYP_BRANDS = {
+    avif: 'image/avif',
+    avis: 'image/avif',
+    heic: 'image/heic',
+    heix: 'image/heic',
+    hevc: 'image/heic',
+    mif1: 'image/heif',
+    msf1: 'image/heif',
+    'qt  ': 'video/quicktime',
+    'M4A ': 'audio/mp4',
+    'M4V ': 'video/x-m4v',
+};
+
+// Types that share a container, so a claim inside the family is trusted
+const FAMILIES = [
+    ['image/heic', 'image/heif'],
+    ['video/mp4', 'audio/mp4', 'video/x-m4v', 'audio/x-m4a', 'video/quicktime'],
+    ['audio/ogg', 'video/ogg', 'application/ogg'],
+    ['video/webm', 'audio/webm', 'video/x-matroska'],
+    ['application/zip', 'application/epub+zip'],
+];
+
+// Common non-canonical names clients send
+const ALIASES = {
+    'image/jpg': 'image/jpeg',
+    'image/pjpeg': 'image/jpeg',
+    'image/x-png': 'image/png',
+    'image/x-ms-bmp': 'image/bmp',
+    'image/vnd.microsoft.icon': 'image/x-icon',
+    'audio/mp3': 'audio/mpeg',
+    'audio/x-wav': 'audio/wav',
+    'audio/wave': 'audio/wav',
+    'audio/x-flac': 'audio/flac',
+    'application/x-pdf': 'application/pdf',
+    'application/font-woff': 'font/woff',
+    'application/x-font-ttf': 'font/ttf',
+    'application/x-font-otf': 'font/otf',
+};
+
+const EXTENSIONS = {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/gif': '.gif',
+    'image/webp': '.webp',
+    'image/tiff': '.tif',
+    'image/bmp': '.bmp',
+    'image/x-icon': '.ico',
+    'image/avif': '.avif',
+    'image/heic': '.heic',
+    'image/heif': '.heif',
+    'image/jxl': '.jxl',
+    'image/svg+xml': '.svg',
+    'application/pdf': '.pdf',
+    'application/json': '.json',
+    'application/manifest+json': '.webmanifest',
+    'application/zip': '.zip',
+    'application/gzip': '.gz',
+    'audio/mpeg': '.mp3',
+    'audio/ogg': '.ogg',
+    'audio/flac': '.flac',
+    'audio/wav': '.wav',
+    'audio/mp4': '.m4a',
+    'video/mp4': '.mp4',
+    'video/x-m4v': '.m4v',
+    'video/quicktime': '.mov',
+    'video/webm': '.webm',
+    'video/x-matroska': '.mkv',
+    'video/x-msvideo': '.avi',
+    'font/woff': '.woff',
+    'font/woff2': '.woff2',
+    'font/ttf': '.ttf',
+    'font/otf': '.otf',
+    'text/plain': '.txt',
+    'text/csv': '.csv',
+};
+
+// Claims that carry no information and defer to the detected type
+const GENERIC_TYPES = ['', 'application/octet-stream', 'binary/octet-stream'];
+
+/**
+ * Content Sniffer
+ * Detects the real type of an upload from its magic bytes instead of
+ * trusting the client supplied extension and Content-Type
+ */
+class ContentSniffer {
+    /**
+     * Canonical form of a MIME type (lowercase, no parameters, aliases resolved)
+     */
+    normalize(mimetype = '') {
+        const type = String(mimetype).split(';')[0].trim().toLowerCase();
+        return ALIASES[type] || type;
+    }
+
+    /**
+     * Detect the MIME type of a buffer, or null when it is not recognized
+     * `partial`: the buffer is only the head of a larger file
+     */
+    detect(buffer, { partial = false } = {}) {
+        if (!buffer || buffer.length === 0) {
+            return null;
+        }
+
+        const signature = SIGNATURES.find(({ offset, bytes }) => this.matchesAt(buffer, offset, bytes));
+
+        if (signature) {
+            return signature.type;
+        }
+
+        return this.detectContainer(buffer) || this.detectText(buffer, partial);
+    }
+
+    /**
+     * ISO base media, Matroska and MPEG audio frames
+     */
+    detectContainer(buffer) {
+        if (this.matchesAt(buffer, 4, 'ftyp')) {
+            const brand = buffer.toString('latin1', 8, 12);
+            return FTYP_BRANDS[brand] || 'video/mp4';
+        }
+
+        if (this.matchesAt(buffer, 0, [0x1A, 0x45, 0xDF, 0xA3])) {
+            return buffer.subarray(0, 64).includes('webm') ? 'video/webm' : 'video/x-matroska';
+        }
+
+        // MPEG audio frame sync without an ID3 tag
+        if (this.isFrameSync(buffer)) {
+            return 'audio/mpeg';
+        }
+
+        return null;
+    }
+
+    /**
+     * SVG, JSON or plain UTF-8 text
+     * A partial buffer may end inside a character and cannot be parsed as a whole
+     */
+    detectText(buffer, partial = false) {
+        let text;
+
+        try {
+            text = new TextDecoder('utf-8', { fatal: true }).decode(buffer, { stream: partial });
+        } catch {
+            return null;
+        }
+
+        // Control characters other than whitespace mean binary data
+        if (this.hasControlCharacters(text)) {
+            return null;
+        }
+
+        const trimmed = text.replace(/^\uFEFF/, '').trim();
+
+        if (/^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!DOCTYPE svg[^>]*>\s*)?<svg[\s>]/i.test(trimmed)) {
+            return 'image/svg+xml';
+        }
+
+        if (/^[{[]/.test(trimmed)) {
+            if (partial) {
+                return 'application/json';
+            }
+
+            try {
+                JSON.parse(trimmed);
+                return 'application/json';
+            } catch {
+                // Not JSON, fall through to plain text
+            }
+        }
+
+        return 'text/plain';
+    }
+
+    /**
+     * Resolve the type to store for a claimed and a detected type
+     * Returns null when the claim contradicts the content
+     */
+    resolve(claimed, detected) {
+        const claim = this.normalize(claimed);
+
+        if (!detected) {
+            return null;
+        }
+
+        if (GENERIC_TYPES.includes(claim) || claim === detected) {
+            return detected;
+        }
+
+        // More specific claims that the detected content supports
+        const family = FAMILIES.find((members) => members.includes(detected));
+        const refines = (family && family.includes(claim))
+            || (detected === 'application/json' && claim.endsWith('+json'))
+            || (detected === 'text/plain' && claim.startsWith('text/') && claim !== 'text/html');
+
+        return refines ? claim : null;
+    }
+
+    /**
+     * File extension (with dot) for a MIME type, or null
+     */
+    extensionFor(mimetype) {
+        return EXTENSIONS[this.normalize(mimetype)] || null;
+    }
+
+    /**
+     * MPEG audio frame header: 11 sync bits set and a layer other than "reserved" (00)
+     */
+    isFrameSync(buffer) {
+        if (buffer.length < 2 || buffer[0] !== 0xFF || buffer[1] < 0xE0) {
+            return false;
+        }
+
+        const layer = Math.floor(buffer[1] / 2) % 4;
+        return layer !== 0;
+    }
+
+    /**
+     * Whether text contains control characters other than tab, line breaks, VT and FF
+     */
+    hasControlCharacters(text) {
+        for (let index = 0; index < text.length; index += 1) {
+            const code = text.charCodeAt(index);
+
+            if (code <= 0x08 || (code >= 0x0E && code <= 0x1F)) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Compare bytes at an offset; strings match as latin1 and '?' is a wildcard
+     */
+    matchesAt(buffer, offset, bytes) {
+        const expected = typeof bytes === 'string'
+            ? [...bytes].map((char) => (char === '?' ? null : char.charCodeAt(0)))
+            : bytes;
+
+        if (buffer.length < offset + expected.length) {
+            return false;
+        }
+
+        return expected.every((byte, index) => byte === null || buffer[offset + index] === byte);
+    }
+}
+
+module.exports = new ContentSniffer();
@@ -0,0 +1,209 @@
+const { v4: uuidv4 } = require('uuid');
+const db = require('../db');
+const storage = require('../storage/StorageManager');
+const config = require('../config');
+const imageCatalog = require('./imageCatalog');
+
+// Finalize claims older than this belong to requests that died before finishing
+const FINALIZE_TIMEOUT = 15 * 60;
+
+/**
+ * Direct Uploads
+ * State of uploads that clients send straight to a storage disk. A row
+ * reserves the object path until the client finalizes the upload; unfinished
+ * uploads expire together with their upload URL and their object is deleted.
+ */
+class DirectUploads {
+    constructor(table = 'direct_uploads') {
+        this.table = table;
+        this.expiration = config.directUploads.expiration;
+    }
+
+    /**
+     * Base query builder for the direct uploads table
+     */
+    query() {
+        return db(this.table);
+    }
+
+    /**
+     * Register a new upload
+     * `id` is also the id of the catalog entry the upload becomes
+     */
+    async create({ id = uuidv4(), ownerId, disk, path, originalName, mimetype, size, metadata = {} }) {
+        await this.query().insert({
+            id,
+            owner_id: ownerId !== undefined ? String(ownerId) : null,
+            disk,
+            path,
+            original_name: originalName,
+            mimetype,
+            size,
+            metadata: JSON.stringify(metadata),
+            expires_at: new Date(Date.now() + this.expiration * 1000),
+        });
+
+        return await this.find(id);
+    }
+
+    /**
+     * Find an upload by id
+     */
+    async find(id) {
+        const row = await this.query().where({ id }).first();
+        return row ? this.fromRow(row) : null;
+    }
+
+    /**
+     * Check whether an unfinished upload has reserved a path on a disk
+     */
+    async isReserved(disk, path) {
+        const row = await this.query()
+            .where({ disk, path })
+            .whereNull('finalized_at')
+            .where('expires_at', '>', new Date())
+            .first();
+        return Boolean(row);
+    }
+
+    /**
+     * Mark the upload as received, once
+     * Returns false when another request already claimed it (one-shot upload URLs)
+     */
+    async claim(upload) {
+        const updated = await this.query()
+            .where({ id: upload.id })
+            .whereNull('received_at')
+            .update({ received_at: db.fn.now(), updated_at: db.fn.now() });
+        return updated > 0;
+    }
+
+    /**
+     * Undo a claim after a failed transfer so the URL can be used again
+     */
+    async release(upload) {
+        await this.query().where({ id: upload.id }).update({
+            received_at: null,
+            updated_at: db.fn.now(),
+        });
+    }
+
+    /**
+     * Start finalizing an upload, once; the catalog entry keeps the upload's id
+     * Returns false when another request already finalizes (or finalized) it;
+     * a claim older than the finalize timeout is taken over
+     */
+    async claimFinalize(upload) {
+        const updated = await this.query()
+            .where({ id: upload.id })
+            .whereNull('finalized_at')
+            .where((query) => query
+                .whereNull('file_id')
+                .orWhere('finalize_started_at', '<', this.staleClaimsBefore()))
+            .update({ file_id: upload.id, finalize_started_at: db.fn.now(), updated_at: db.fn.now() });
+        return updated > 0;
+    }
+
+    /**
+     * Undo a finalize claim after a failure so finalize can be called again
+     */
+    async releaseFinalize(upload) {
+        await this.query().where({ id: upload.id }).whereNull('finalized_at').update({
+            file_id: null,
+            finalize_started_at: null,
+            updated_at: db.fn.now(),
+        });
+    }
+
+    /**
+     * Check whether a request is finalizing the upload right now
+     */
+    isFinalizing(upload) {
+        return Boolean(upload.fileId && !upload.finalizedAt
+            && upload.finalizeStartedAt && upload.finalizeStartedAt >= this.staleClaimsBefore());
+    }
+
+    /**
+     * Finalize claims started before this date are stale
+     */
+    staleClaimsBefore() {
+        return new Date(Date.now() - FINALIZE_TIMEOUT * 1000);
+    }
+
+    /**
+     * Mark a claimed upload as finished
+     */
+    async complete(upload) {
+        await this.query().where({ id: upload.id }).update({
+            finalized_at: db.fn.now(),
+            updated_at: db.fn.now(),
+        });
+        return await this.find(upload.id);
+    }
+
+    /**
+     * Delete an upload; the object of an unfinished upload is deleted from its disk
+     */
+    async terminate(upload) {
+        if (!upload.finalizedAt) {
+            await storage.disk(upload.disk).delete(upload.path).catch(() => {});
+        }
+        const deleted = await this.query().where({ id: upload.id }).del();
+        return deleted > 0;
+    }
+
+    /**
+     * Delete unfinished uploads that passed their expiration, including those
+     * whose finalize claim went stale; a stale claim that already created the
+     * catalog entry is completed instead
+     */
+    async cleanupExpired() {
+        const rows = await this.query()
+            .whereNull('finalized_at')
+            .where('expires_at', '<', new Date())
+            .where((query) => query
+                .whereNull('file_id')
+                .orWhere('finalize_started_at', '<', this.staleClaimsBefore()));
+
+        let removed = 0;
+
+        for (const row of rows) {
+            const upload = this.fromRow(row);
+            const file = upload.fileId
+                && (await imageCatalog.find(upload.fileId) || await imageCatalog.findTrashed(upload.fileId));
+
+            if (file) {
+                await this.complete(upload);
+            } else if (await this.terminate(upload)) {
+                removed += 1;
+            }
+        }
+
+        return removed;
+    }
+
+    /**
+     * Map a database row to an upload object
+     */
+    fromRow(row) {
+        return {
+            id: row.id,
+            ownerId: row.owner_id,
+            disk: row.disk,
+            path: row.path,
+            originalName: row.original_name,
+            mimetype: row.mimetype,
+            size: parseInt(row.size, 10) || 0,
+            metadata: row.metadata ? JSON.parse(row.metadata) : {},
+            receivedAt: row.received_at ? new Date(row.received_at) : null,
+            fileId: row.file_id,
+            finalizeStartedAt: row.finalize_started_at ? new Date(row.finalize_started_at) : null,
+            finalizedAt: row.finalized_at ? new Date(row.finalized_at) : null,
+            expiresAt: row.expires_at ? new Date(row.expires_at) : null,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at,
+        };
+    }
+}
+
+module.exports = new DirectUploads();
@@ -0,0 +1,133 @@
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../config');
+const contentSniffer = require('./contentSniffer');
+const imageProcessor = require('./imageProcessor');
+
+// Bytes read from disk to sniff the type of an upload
+const SNIFF_BYTES = 64 * 1024;
+
+// Error with an HTTP status for the upload routes
+const rejection = (status, message) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+/**
+ * File Types
+ * Upload allowlist: which MIME types are accepted and how large they may be
+ */
+class FileTypes {
+    /**
+     * Normalize a MIME type (lowercase, without parameters, aliases resolved)
+     */
+    normalize(mimetype = '') {
+        return contentSniffer.normalize(mimetype);
+    }
+
+    /**
+     * Size limit in bytes for a MIME type, or null when it is not allowed
+     * Exact entries win over `group/*` wildcards; capped by `files.maxSize`
+     */
+    limitFor(mimetype) {
+        const type = this.normalize(mimetype);
+        const [group] = type.split('/');
+        const { types, maxSize } = config.files;
+
+        const key = [type, `${group}/*`, '*/*']
+            .find((candidate) => Object.prototype.hasOwnProperty.call(types, candidate));
+
+        return key ? Math.min(types[key], maxSize) : null;
+    }
+
+    /**
+     * Check whether a MIME type is on the allowlist
+     */
+    isAllowed(mimetype) {
+        return this.limitFor(mimetype) !== null;
+    }
+
+    /**
+     * Validate an uploaded file against the allowlist
+     * Throws an error with status 415 (type) or 413 (size)
+     */
+    check(file) {
+        const limit = this.limitFor(file.mimetype);
+
+        if (limit === null) {
+            throw rejection(415, `File type ${this.normalize(file.mimetype) || 'unknown'} is not allowed`);
+        }
+
+        if (file.size > limit) {
+            throw rejection(413, `File exceeds the ${limit} byte limit for ${this.normalize(file.mimetype)}`);
+        }
+
+        return true;
+    }
+
+    /**
+     * Sniff the real type of an upload from its content, check it against the
+     * declared type and the allowlist, and decode-check images
+     * `file` holds its contents in `buffer` or on disk at `path`
+     * Resolves with the detected `{ mimetype, extension }`; throws an error
+     * with status 415 (type), 413 (size) or 422 (corrupt image)
+     */
+    async inspect(file, { imagesOnly = false } = {}) {
+        const sample = file.buffer || await this.readHead(file.path, SNIFF_BYTES);
+        const detected = contentSniffer.detect(sample, { partial: sample.length < file.size });
+
+        if (!detected) {
+            throw rejection(415, 'Unrecognized file content');
+        }
+
+        const mimetype = contentSniffer.resolve(file.mimetype, detected);
+
+        if (!mimetype) {
+            const declared = this.normalize(file.mimetype);
+            throw rejection(415, `File content (${detected}) does not match the declared type ${declared}`);
+        }
+
+        if (imagesOnly && !mimetype.startsWith('image/')) {
+            throw rejection(415, 'Only image files are allowed');
+        }
+
+        this.check({ mimetype, size: file.size });
+
+        if (imageProcessor.canProcess(mimetype)) {
+            try {
+                await imageProcessor.verify(file.buffer || file.path);
+            } catch (error) {
+                throw rejection(422, `Image could not be decoded: ${error.message}`);
+            }
+        }
+
+        return {
+            mimetype,
+            extension: contentSniffer.extensionFor(mimetype) || path.extname(file.originalname).toLowerCase(),
+        };
+    }
+
+    /**
+     * File extension (with dot) for a MIME type, or null
+     */
+    extensionFor(mimetype) {
+        return contentSniffer.extensionFor(mimetype);
+    }
+
+    /**
+     * Read the first bytes of a file
+     */
+    async readHead(filePath, length) {
+        const handle = await fs.open(filePath, 'r');
+
+        try {
+            const { buffer, bytesRead } = await handle.read(Buffer.alloc(length), 0, length, 0);
+            return buffer.subarray(0, bytesRead);
+        } finally {
+            await handle.close();
+        }
+    }
+}
+
+module.exports = new FileTypes();
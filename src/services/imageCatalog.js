@@ -0,0 +1,602 @@
+const Joi = require('joi');
+const db = require('../db');
+
+// Sort keys accepted by list() and the columns behind them
+const SORT_COLUMNS = {
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    size: 'size',
+};
+
+// Filters accepted by list()
+const FILTERS = ['owner', 'disk', 'type', 'uploadedAfter', 'uploadedBefore', 'tag'];
+
+// Image tags: lowercase, no commas (stored as ",a,b,")
+const TAG_PATTERN = /^[a-z0-9][a-z0-9:._-]{0,63}$/;
+const MAX_TAGS = 20;
+
+// Keyset cursors carry the sort and order they were issued for and the last row's sort value and id;
+// encoded so clients treat them as opaque. The sort value is read as text straight from Postgres:
+// a JS Date would drop the microseconds of a timestamptz and rows sharing the millisecond would be
+// skipped or repeated between pages
+const encodeCursor = (sort, order, value, id) => Buffer.from(JSON.stringify([sort, order, value, id]))
+    .toString('base64url');
+const decodeCursor = (cursor) => JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+
+/**
+ * Image Catalog
+ * Persists image metadata in the `images` table so routes can resolve
+ * an image by id without scanning the storage disks. Files uploaded through
+ * `/api/files` (PDF, video, fonts...) are catalogued in the same table.
+ */
+class ImageCatalog {
+    constructor(table = 'images') {
+        this.table = table;
+    }
+
+    /**
+     * Base query builder for the catalog table
+     */
+    query() {
+        return db(this.table);
+    }
+
+    /**
+     * Record a newly stored image
+     */
+    async create(image) {
+        await this.query().insert(this.toRow(image));
+        return await this.find(image.id);
+    }
+
+    /**
+     * Find an image by id (images in the trash are not found)
+     */
+    async find(id) {
+        const row = await this.query().where({ id }).whereNull('deleted_at').first();
+        return row ? this.fromRow(row) : null;
+    }
+
+    /**
+     * Find an image in the trash by id
+     */
+    async findTrashed(id) {
+        const row = await this.query().where({ id }).whereNotNull('deleted_at').first();
+        return row ? this.fromRow(row) : null;
+    }
+
+    /**
+     * List catalogued files one page at a time
+     * Filters: `owner`, `disk`, `type` (a MIME group such as `image` or a full
+     * MIME type), `uploadedAfter`/`uploadedBefore` and `tag`; with `viewer`
+     * only public files and the ones the viewer may see are returned.
+     * Resolves to `{ images, total, cursor }`, `cursor` is null on the last page
+     */
+    async list(filters = {}, {
+        sort = 'createdAt', order = 'desc', limit = 50, cursor = null,
+    } = {}) {
+        const column = SORT_COLUMNS[sort];
+        const query = this.filter(this.query(), filters);
+        const result = await query.clone().count({ count: '*' }).first();
+
+        if (cursor) {
+            const [, , value, id] = decodeCursor(cursor);
+            const operator = order === 'desc' ? '<' : '>';
+
+            query.where((builder) => {
+                builder
+                    .where(column, operator, value)
+                    .orWhere((tie) => tie.where(column, value).where('id', operator, id));
+            });
+        }
+
+        const rows = await query
+            .select(`${this.table}.*`, db.raw('??::text as cursor_value', [column]))
+            .orderBy([{ column, order }, { column: 'id', order }])
+            .limit(limit + 1);
+        const page = rows.slice(0, limit);
+        const last = page[page.length - 1];
+
+        return {
+            images: page.map((row) => this.fromRow(row)),
+            total: parseInt(result.count, 10) || 0,
+            cursor: rows.length > limit ? encodeCursor(sort, order, last.cursor_value, last.id) : null,
+        };
+    }
+
+    /**
+     * Apply list() filters to a query; images in the trash are never listed
+     */
+    filter(query, {
+        viewer, owner, disk, type, uploadedAfter, uploadedBefore, tag,
+    } = {}) {
+        if (owner !== undefined) {
+            query.where('owner_id', String(owner));
+        }
+
+        if (disk) {
+            query.where('disk', disk);
+        }
+
+        if (type && type.includes('/')) {
+            query.where('mimetype', type);
+        } else if (type) {
+            query.where('mimetype', 'like', `${type}/%`);
+        }
+
+        if (uploadedAfter) {
+            query.where('created_at', '>=', uploadedAfter);
+        }
+
+        if (uploadedBefore) {
+            query.where('created_at', '<', uploadedBefore);
+        }
+
+        if (tag) {
+            // "_" is a LIKE wildcard, match it literally
+            query.where('tags', 'like', `%,${tag.replace(/_/g, '\\_')},%`);
+        }
+
+        if (viewer !== undefined) {
+            this.visibleTo(query, viewer);
+        }
+
+        return query.whereNull('deleted_at');
+    }
+
+    /**
+     * Validate and normalize list() query parameters
+     * Throws an error with status 400 when they are invalid, or when the cursor
+     * was issued for another sort or order
+     */
+    parseListQuery(query = {}) {
+        const { value, error } = Joi.object({
+            owner: Joi.string().max(255),
+            disk: Joi.string().max(64),
+            type: Joi.string().lowercase().pattern(/^[a-z]+(\/[a-z0-9.+-]+)?$/),
+            uploadedAfter: Joi.date().iso(),
+            uploadedBefore: Joi.date().iso(),
+            tag: Joi.string().lowercase().pattern(TAG_PATTERN),
+            sort: Joi.string().valid(...Object.keys(SORT_COLUMNS)).default('createdAt'),
+            order: Joi.string().lowercase().valid('asc', 'desc').default('desc'),
+            limit: Joi.number().integer().min(1).max(200).default(50),
+            cursor: Joi.string().custom((cursor, helpers) => {
+                try {
+                    const decoded = decodeCursor(cursor);
+                    if (Array.isArray(decoded) && decoded.length === 4) {
+                        return cursor;
+                    }
+                } catch {
+                    // Not base64url encoded JSON
+                }
+                return helpers.message('"cursor" is invalid');
+            }),
+        })
+            .prefs({ errors: { label: 'key' } })
+            .unknown(true)
+            .validate(query);
+
+        if (error) {
+            const validationError = new Error(error.message);
+            validationError.status = 400;
+            throw validationError;
+        }
+
+        const {
+            sort, order, limit, cursor, ...filters
+        } = value;
+
+        // A cursor only continues the listing it was issued for
+        if (cursor) {
+            const [cursorSort, cursorOrder] = decodeCursor(cursor);
+
+            if (cursorSort !== sort || cursorOrder !== order) {
+                const listing = `sort=${cursorSort} and order=${cursorOrder}`;
+                const mismatchError = new Error(`"cursor" belongs to a listing with ${listing}`);
+                mismatchError.status = 400;
+                throw mismatchError;
+            }
+        }
+
+        return {
+            filters: Object.fromEntries(
+                Object.entries(filters).filter(([key]) => FILTERS.includes(key))
+            ),
+            page: {
+                sort, order, limit, cursor,
+            },
+        };
+    }
+
+    /**
+     * Validate and normalize image tags (an array or a comma separated string)
+     * Throws an error with status 400 when a tag is invalid
+     */
+    normalizeTags(value) {
+        const tags = (Array.isArray(value) ? value : String(value).split(','))
+            .map((tag) => String(tag).trim().toLowerCase())
+            .filter(Boolean);
+
+        const invalid = tags.find((tag) => !TAG_PATTERN.test(tag));
+
+        if (invalid !== undefined || tags.length > MAX_TAGS) {
+            const error = new Error(invalid !== undefined
+                ? `Invalid tag "${invalid}": use up to 64 characters of a-z, 0-9, ":", ".", "_" and "-"`
+                : `At most ${MAX_TAGS} tags are allowed`);
+            error.status = 400;
+            throw error;
+        }
+
+        return [...new Set(tags)];
+    }
+
+    /**
+     * Restrict a query to images a user (or an anonymous visitor) can view
+     */
+    visibleTo(query, userId = null) {
+        return query.where((builder) => {
+            builder.where('visibility', 'public');
+
+            if (userId !== null) {
+                builder
+                    .orWhere('owner_id', String(userId))
+                    .orWhereIn('id', db('image_grants').select('image_id').where('user_id', String(userId)));
+            }
+        });
+    }
+
+    /**
+     * Count catalogued images
+     */
+    async count() {
+        const result = await this.query().whereNull('deleted_at').count({ count: '*' }).first();
+        return parseInt(result.count, 10) || 0;
+    }
+
+    /**
+     * Update an image's metadata
+     */
+    async update(id, changes) {
+        await this.query()
+            .where({ id })
+            .update({ ...this.toRow(changes), updated_at: db.fn.now() });
+        return await this.find(id);
+    }
+
+    /**
+     * Move an image to the trash; its files stay on the disk until it is purged
+     */
+    async trash(id, deletedBy = null) {
+        const trashed = await this.query()
+            .where({ id })
+            .whereNull('deleted_at')
+            .update({
+                deleted_at: db.fn.now(),
+                deleted_by: deletedBy !== null ? String(deletedBy) : null,
+            });
+        return trashed > 0;
+    }
+
+    /**
+     * Take an image out of the trash
+     */
+    async restore(id) {
+        await this.query()
+            .where({ id })
+            .update({ deleted_at: null, deleted_by: null, updated_at: db.fn.now() });
+        return await this.find(id);
+    }
+
+    /**
+     * List the images in the trash, most recently deleted first
+     * `ownerId` limits the result to one user's images; `deletedBefore` to expired ones
+     */
+    async trashed({ ownerId, deletedBefore } = {}) {
+        const query = this.query();
+
+        if (ownerId !== undefined) {
+            query.where('owner_id', String(ownerId));
+        }
+
+        if (deletedBefore) {
+            query.where('deleted_at', '<', deletedBefore);
+        }
+
+        const rows = await query.whereNotNull('deleted_at').orderBy('deleted_at', 'desc');
+        return rows.map((row) => this.fromRow(row));
+    }
+
+    /**
+     * Swap the original behind an image id
+     * The current original is archived in `image_versions`, the image row
+     * takes the new file's columns and the next version number
+     */
+    async replace(image, changes, replacedBy = null) {
+        try {
+            await db('image_versions').insert({
+                ...this.toVersionRow(image),
+                replaced_by: replacedBy !== null ? String(replacedBy) : null,
+            });
+        } catch (error) {
+            // unique (image_id, version): another replace archived this version first
+            if (error.code === '23505') {
+                const conflict = new Error('Image was modified concurrently');
+                conflict.status = 409;
+                throw conflict;
+            }
+            throw error;
+        }
+
+        return await this.update(image.id, { ...changes, version: image.version + 1 });
+    }
+
+    /**
+     * List the previous originals of an image, newest first
+     */
+    async versions(imageId) {
+        const rows = await db('image_versions')
+            .where({ image_id: imageId })
+            .orderBy('version', 'desc');
+        return rows.map((row) => this.versionFromRow(row));
+    }
+
+    /**
+     * Find a previous original of an image
+     */
+    async findVersion(imageId, version) {
+        const row = await db('image_versions').where({ image_id: imageId, version }).first();
+        return row ? this.versionFromRow(row) : null;
+    }
+
+    /**
+     * Forget a previous original
+     */
+    async deleteVersion(imageId, version) {
+        const deleted = await db('image_versions').where({ image_id: imageId, version }).del();
+        return deleted > 0;
+    }
+
+    /**
+     * Remove an image from the catalog
+     */
+    async delete(id) {
+        await this.deleteVariants(id);
+        await db('image_grants').where({ image_id: id }).del();
+        await db('image_versions').where({ image_id: id }).del();
+        const deleted = await this.query().where({ id }).del();
+        return deleted > 0;
+    }
+
+    /**
+     * Register a cached derivative of an image
+     */
+    async recordVariant(imageId, cacheKey, {
+        size, contentType, etag, tags = []
+    } = {}) {
+        const columns = {
+            size,
+            content_type: contentType,
+            etag,
+            tags: tags.length > 0 ? `,${tags.join(',')},` : null,
+        };
+
+        await db('image_variants')
+            .insert({ image_id: imageId, cache_key: cacheKey, ...columns })
+            .onConflict('cache_key')
+            .merge({ ...columns, updated_at: db.fn.now() });
+    }
+
+    /**
+     * List the registered derivatives carrying a cache tag
+     */
+    async variantsTagged(tag) {
+        const rows = await db('image_variants')
+            .where('tags', 'like', `%,${tag},%`)
+            .orderBy('id');
+
+        // LIKE treats "_" as a wildcard, so confirm the exact tag
+        return rows
+            .map((row) => this.variantFromRow(row))
+            .filter((variant) => variant.tags.includes(tag));
+    }
+
+    /**
+     * Forget a single derivative
+     */
+    async deleteVariant(cacheKey) {
+        const deleted = await db('image_variants').where({ cache_key: cacheKey }).del();
+        return deleted > 0;
+    }
+
+    /**
+     * Find a registered derivative by its cache key
+     */
+    async findVariant(cacheKey) {
+        const row = await db('image_variants').where({ cache_key: cacheKey }).first();
+        return row ? this.variantFromRow(row) : null;
+    }
+
+    /**
+     * List the cached derivatives of an image
+     */
+    async variants(imageId) {
+        const rows = await db('image_variants').where({ image_id: imageId }).orderBy('id');
+        return rows.map((row) => this.variantFromRow(row));
+    }
+
+    /**
+     * Forget the cached derivatives of an image
+     */
+    async deleteVariants(imageId) {
+        return await db('image_variants').where({ image_id: imageId }).del();
+    }
+
+    /**
+     * Count registered derivatives
+     */
+    async countVariants() {
+        const result = await db('image_variants').count({ count: '*' }).first();
+        return parseInt(result.count, 10) || 0;
+    }
+
+    /**
+     * Give a user read access to a private image
+     */
+    async grant(imageId, userId, grantedBy = null) {
+        await db('image_grants')
+            .insert({
+                image_id: imageId,
+                user_id: String(userId),
+                granted_by: grantedBy !== null ? String(grantedBy) : null,
+            })
+            .onConflict(['image_id', 'user_id'])
+            .ignore();
+    }
+
+    /**
+     * Take a user's read access away
+     */
+    async revoke(imageId, userId) {
+        const deleted = await db('image_grants')
+            .where({ image_id: imageId, user_id: String(userId) })
+            .del();
+        return deleted > 0;
+    }
+
+    /**
+     * List the users granted access to an image
+     */
+    async grants(imageId) {
+        const rows = await db('image_grants').where({ image_id: imageId }).orderBy('id');
+        return rows.map((row) => ({
+            userId: row.user_id,
+            grantedBy: row.granted_by,
+            createdAt: row.created_at,
+        }));
+    }
+
+    /**
+     * Check whether a user was granted access to an image
+     */
+    async hasGrant(imageId, userId) {
+        const row = await db('image_grants')
+            .where({ image_id: imageId, user_id: String(userId) })
+            .first();
+        return Boolean(row);
+    }
+
+    /**
+     * Map an image object to its database columns
+     */
+    toRow(image) {
+        const columns = {
+            id: image.id,
+            disk: image.disk,
+            path: image.path,
+            filename: image.filename,
+            original_name: image.originalName,
+            mimetype: image.mimetype,
+            size: image.size,
+            width: image.width,
+            height: image.height,
+            has_alpha: image.hasAlpha,
+            owner_id: image.ownerId,
+            visibility: image.visibility,
+            etag: image.etag,
+            version: image.version,
+            tags: image.tags && (image.tags.length > 0 ? `,${image.tags.join(',')},` : null),
+        };
+
+        // Only write the columns that were provided
+        return Object.fromEntries(
+            Object.entries(columns).filter(([, value]) => value !== undefined)
+        );
+    }
+
+    /**
+     * Map a database row to an image object
+     */
+    fromRow(row) {
+        return {
+            id: row.id,
+            disk: row.disk,
+            path: row.path,
+            filename: row.filename,
+            originalName: row.original_name,
+            mimetype: row.mimetype,
+            size: parseInt(row.size, 10) || 0,
+            width: row.width,
+            height: row.height,
+            hasAlpha: row.has_alpha,
+            ownerId: row.owner_id,
+            visibility: row.visibility || 'public',
+            etag: row.etag,
+            version: parseInt(row.version, 10) || 1,
+            tags: row.tags ? row.tags.split(',').filter(Boolean) : [],
+            createdAt: row.created_at,
+            updatedAt: row.updated_at,
+            deletedAt: row.deleted_at ? new Date(row.deleted_at) : null,
+            deletedBy: row.deleted_by,
+        };
+    }
+
+    /**
+     * Map an image's current original to an image_versions row
+     */
+    toVersionRow(image) {
+        return {
+            image_id: image.id,
+            version: image.version,
+            disk: image.disk,
+            path: image.path,
+            filename: image.filename,
+            original_name: image.originalName,
+            mimetype: image.mimetype,
+            size: image.size,
+            width: image.width,
+            height: image.height,
+            has_alpha: image.hasAlpha,
+            etag: image.etag,
+        };
+    }
+
+    /**
+     * Map an image_versions row to a version object
+     */
+    versionFromRow(row) {
+        return {
+            imageId: row.image_id,
+            version: parseInt(row.version, 10),
+            disk: row.disk,
+            path: row.path,
+            filename: row.filename,
+            originalName: row.original_name,
+            mimetype: row.mimetype,
+            size: parseInt(row.size, 10) || 0,
+            width: row.width,
+            height: row.height,
+            hasAlpha: row.has_alpha,
+            etag: row.etag,
+            replacedBy: row.replaced_by,
+            createdAt: row.created_at,
+        };
+    }
+
+    /**
+     * Map an image_variants row to a variant object
+     */
+    variantFromRow(row) {
+        return {
+            imageId: row.image_id,
+            cacheKey: row.cache_key,
+            contentType: row.content_type,
+            size: parseInt(row.size, 10) || 0,
+            etag: row.etag,
+            tags: row.tags ? row.tags.split(',').filter(Boolean) : [],
+            createdAt: row.created_at,
+            updatedAt: row.updated_at,
+        };
+    }
+}
+
+module.exports = new ImageCatalog();
@@ -0,0 +1,49 @@
+const storage = require('../storage/StorageManager');
+const imageCatalog = require('./imageCatalog');
+
+/**
+ * Image Files
+ * The files an image keeps on its disk: the current original and the previous
+ * versions. Visibility changes and deletes apply to all of them.
+ */
+class ImageFiles {
+    /**
+     * The original and the kept versions of an image, each path once
+     */
+    async list(image) {
+        const versions = await imageCatalog.versions(image.id);
+        return [image, ...versions.filter((version) => version.path !== image.path)];
+    }
+
+    /**
+     * Set who may read the files straight from their disk; the content is not rewritten
+     */
+    async setVisibility(image, visibility) {
+        const files = await this.list(image);
+
+        for (const file of files) {
+            await storage.disk(file.disk).setVisibility(file.path, visibility);
+        }
+
+        return files.length;
+    }
+
+    /**
+     * Delete the files from their disks; files that are already gone are skipped
+     */
+    async delete(image) {
+        const files = await this.list(image);
+
+        for (const file of files) {
+            try {
+                await storage.disk(file.disk).delete(file.path);
+            } catch (error) {
+                console.log('File not found in storage:', `${file.disk}:${file.path}`, error.message);
+            }
+        }
+
+        return files.length;
+    }
+}
+
+module.exports = new ImageFiles();
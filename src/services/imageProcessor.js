@@ -0,0 +1,315 @@
+const sharp = require('sharp');
+const Joi = require('joi');
+const config = require('../config');
+
+// Query parameters that describe a transformation
+const TRANSFORM_PARAMS = ['w', 'h', 'fit', 'crop', 'q', 'fm', 'dpr', 'effort', 'lossless', 'chroma'];
+
+// Crop names accepted in the query, mapped to sharp positions/strategies
+const CROP_POSITIONS = {
+    center: 'centre',
+    top: 'top',
+    right: 'right',
+    bottom: 'bottom',
+    left: 'left',
+    'top-right': 'right top',
+    'top-left': 'left top',
+    'bottom-right': 'right bottom',
+    'bottom-left': 'left bottom',
+    entropy: sharp.strategy.entropy,
+    attention: sharp.strategy.attention,
+};
+
+// Encoder options each output format understands, and its effort range
+const ENCODERS = {
+    jpeg: { options: ['quality', 'chromaSubsampling'] },
+    png: { options: [] },
+    webp: { options: ['quality', 'effort', 'lossless'], effort: [0, 6] },
+    gif: { options: ['effort'], effort: [1, 10] },
+    avif: { options: ['quality', 'effort', 'lossless', 'chromaSubsampling'], effort: [0, 9] },
+    heif: { options: ['quality', 'effort', 'lossless', 'chromaSubsampling'], effort: [0, 9] },
+    tiff: { options: ['quality'] },
+    jxl: { options: ['quality', 'effort', 'lossless'], effort: [3, 9] },
+};
+
+/**
+ * Image Processor
+ * Parses transformation options and runs the sharp pipeline
+ */
+class ImageProcessor {
+    constructor() {
+        // Formats libvips claims to write; narrowed by detectOutputFormats()
+        this.outputFormats = Object.keys(ENCODERS)
+            .filter((format) => format === 'avif' || sharp.format[format]?.output.buffer);
+        this.inputFormats = Object.keys(sharp.format)
+            .filter((format) => format !== 'raw' && sharp.format[format].input.buffer);
+
+        // Modern formats tried in order when the client asks for `auto`
+        this.negotiableFormats = ['avif', 'webp'];
+
+        this.ready = this.detectOutputFormats();
+    }
+
+    /**
+     * Encode a tiny sample with every encoder and keep the ones that work,
+     * e.g. HEVC-based HEIF or JPEG XL are missing from prebuilt libvips
+     */
+    async detectOutputFormats() {
+        const sample = sharp({
+            create: { width: 8, height: 8, channels: 3, background: '#000000' },
+        });
+        const supported = [];
+
+        for (const format of this.outputFormats) {
+            try {
+                await this.encode(sample.clone(), format, {}).toBuffer();
+                supported.push(format);
+            } catch {
+                // Encoder not available in this libvips build
+            }
+        }
+
+        this.outputFormats = supported;
+        return supported;
+    }
+
+    /**
+     * Validation schema for transformation query parameters
+     */
+    schema() {
+        const { maxDimension, defaultQuality } = config.images;
+
+        return Joi.object({
+            w: Joi.number().integer().min(1).max(maxDimension),
+            h: Joi.number().integer().min(1).max(maxDimension),
+            fit: Joi.string().valid('cover', 'contain', 'fill', 'inside', 'outside').default('inside'),
+            crop: Joi.string().valid(...Object.keys(CROP_POSITIONS)).default('center'),
+            q: Joi.number().integer().min(1).max(100).default(defaultQuality),
+            fm: Joi.string().lowercase().replace(/^jpg$/, 'jpeg').valid(...this.outputFormats, 'auto'),
+            dpr: Joi.number().min(1).max(4).default(1),
+            effort: Joi.number().integer().min(0).max(10),
+            lossless: Joi.boolean().truthy('1').falsy('0'),
+            chroma: Joi.string().valid('420', '444', '4:2:0', '4:4:4'),
+        });
+    }
+
+    /**
+     * Check whether a query string asks for a transformation
+     */
+    hasTransform(query = {}) {
+        return TRANSFORM_PARAMS.some((param) => query[param] !== undefined);
+    }
+
+    /**
+     * Validate and normalize transformation options
+     * Throws an error with status 400 when the options are invalid
+     */
+    parseTransform(query = {}, defaults = {}) {
+        const params = Object.fromEntries(
+            TRANSFORM_PARAMS
+                .filter((param) => query[param] !== undefined && query[param] !== '')
+                .map((param) => [param, query[param]])
+        );
+
+        const { value, error } = this.schema()
+            .prefs({ errors: { label: 'key' } })
+            .validate(params);
+
+        if (error) {
+            const validationError = new Error(error.message);
+            validationError.status = 400;
+            throw validationError;
+        }
+
+        // Device pixel ratio scales the requested box, capped at the max dimension
+        const scale = (size) => size && Math.min(Math.round(size * value.dpr), config.images.maxDimension);
+
+        return {
+            width: scale(value.w),
+            height: scale(value.h),
+            fit: value.fit,
+            crop: value.crop,
+            quality: value.q,
+            format: value.fm || defaults.format || 'jpeg',
+            effort: value.effort,
+            lossless: value.lossless,
+            chromaSubsampling: value.chroma && (value.chroma.includes(':')
+                ? value.chroma
+                : value.chroma.split('').join(':')),
+        };
+    }
+
+    /**
+     * Names of the presets configured in `config.images.presets`
+     */
+    presetNames() {
+        return Object.keys(config.images.presets);
+    }
+
+    /**
+     * Transformation parameters of a named preset (query form), or null
+     */
+    preset(name) {
+        if (!Object.prototype.hasOwnProperty.call(config.images.presets, name)) {
+            return null;
+        }
+
+        const { format, ...params } = config.images.presets[name];
+        return { ...params, fm: format };
+    }
+
+    /**
+     * Pick the best output format the client accepts
+     * AVIF, then WebP, then PNG for images with alpha or JPEG otherwise
+     */
+    negotiateFormat(accept = '', hasAlpha = false) {
+        const accepted = accept
+            .split(',')
+            .map((part) => part.trim().split(';'))
+            .filter(([, ...params]) => !params.some((param) => /^\s*q=0(\.0*)?\s*$/.test(param)))
+            .map(([type]) => type.trim().toLowerCase());
+
+        const format = this.negotiableFormats.find((candidate) => (
+            this.outputFormats.includes(candidate) && accepted.includes(`image/${candidate}`)
+        ));
+
+        if (format) {
+            return format;
+        }
+
+        return hasAlpha ? 'png' : 'jpeg';
+    }
+
+    /**
+     * Check whether a source mimetype can be decoded by the pipeline
+     * Transformations only apply to these; other files are served as-is
+     */
+    canProcess(mimetype = '') {
+        const [type, subtype = ''] = String(mimetype).split(';')[0].trim().toLowerCase().split('/');
+
+        if (type !== 'image') {
+            return false;
+        }
+
+        // HEIC (HEVC) is left out: prebuilt libvips only decodes AV1-based HEIF
+        const aliases = { jpg: 'jpeg', 'svg+xml': 'svg', avif: 'heif' };
+        return this.inputFormats.includes(aliases[subtype] || subtype);
+    }
+
+    /**
+     * Fully decode an image (Buffer or file path) to make sure it is not truncated or corrupt
+     * Rejects with the sharp error otherwise
+     */
+    async verify(input) {
+        await sharp(input).stats();
+        return true;
+    }
+
+    /**
+     * Output format matching a source mimetype, if the pipeline can write it
+     */
+    formatFor(mimetype = '') {
+        // Vector sources are rasterized to PNG to keep their transparency
+        if (mimetype === 'image/svg+xml') {
+            return 'png';
+        }
+
+        const format = mimetype.replace(/^image\//, '');
+        return this.outputFormats.includes(format) ? format : null;
+    }
+
+    /**
+     * Deterministic cache key for an image variant
+     */
+    variantKey(id, options) {
+        const size = `${options.width || 'auto'}x${options.height || 'auto'}`;
+        const encoder = [
+            options.effort !== undefined && `_e${options.effort}`,
+            options.lossless && '_lossless',
+            options.chromaSubsampling && `_c${options.chromaSubsampling.replace(/:/g, '')}`,
+        ].filter(Boolean).join('');
+
+        return `${id}/${size}_${options.fit}_${options.crop}_q${options.quality}${encoder}.${options.format}`;
+    }
+
+    /**
+     * Content-Type for an output format
+     */
+    contentType(format) {
+        return `image/${format}`;
+    }
+
+    /**
+     * Apply the output encoder: configured defaults, then per-request options
+     */
+    encode(pipeline, format, options) {
+        const encoder = ENCODERS[format];
+
+        if (!encoder) {
+            throw new Error(`Unsupported output format: ${format}`);
+        }
+
+        const requested = {
+            quality: options.quality,
+            effort: options.effort !== undefined && encoder.effort
+                ? Math.min(Math.max(options.effort, encoder.effort[0]), encoder.effort[1])
+                : undefined,
+            lossless: options.lossless,
+            chromaSubsampling: options.chromaSubsampling,
+        };
+
+        const encoderOptions = { ...config.images.encoders[format] };
+
+        for (const option of encoder.options) {
+            if (requested[option] !== undefined) {
+                encoderOptions[option] = requested[option];
+            }
+        }
+
+        return pipeline[format](encoderOptions);
+    }
+
+    /**
+     * Render density (DPI) for an SVG so its raster covers the requested size
+     */
+    vectorDensity(metadata, options) {
+        const base = metadata.density || 72;
+        const scale = Math.max(
+            options.width && metadata.width ? options.width / metadata.width : 1,
+            options.height && metadata.height ? options.height / metadata.height : 1,
+            1
+        );
+
+        return Math.min(Math.ceil(base * scale), 100000);
+    }
+
+    /**
+     * Run the transformation on the original image contents
+     */
+    async process(contents, options) {
+        const metadata = await sharp(contents).metadata();
+        const isVector = metadata.format === 'svg';
+
+        // SVG is rendered at a density that covers the requested box rather than upscaled
+        let pipeline = isVector
+            ? sharp(contents, { density: this.vectorDensity(metadata, options) })
+            : sharp(contents);
+
+        if (options.width || options.height) {
+            pipeline = pipeline.resize(options.width, options.height, {
+                fit: options.fit,
+                position: CROP_POSITIONS[options.crop],
+                withoutEnlargement: !isVector,
+            });
+        }
+
+        pipeline = this.encode(pipeline, options.format, options);
+
+        return {
+            buffer: await pipeline.toBuffer(),
+            contentType: this.contentType(options.format),
+        };
+    }
+}
+
+module.exports = new ImageProcessor();
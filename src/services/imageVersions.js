@@ -0,0 +1,98 @@
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const storage = require('../storage/StorageManager');
+const imageCatalog = require('./imageCatalog');
+const config = require('../config');
+
+/**
+ * Image Versions
+ * A new original is written next to the current one under a path of its own;
+ * once it is committed the previous original is kept as a version, up to the
+ * retention count of the image's disk.
+ */
+class ImageVersions {
+    /**
+     * Number of previous originals kept on a disk (`versions` in its config, otherwise STORAGE_VERSIONS)
+     */
+    retention(diskName) {
+        return config.storage.disks?.[diskName]?.versions ?? config.storage.versions;
+    }
+
+    /**
+     * Path of the next original of an image: `<id>-v<N>-<random><ext>` in the image's directory
+     * Every write gets its own path, so concurrent replacements never overwrite each other's
+     * file and a request whose commit fails only deletes what it wrote
+     */
+    path(image, extension) {
+        const filename = `${image.id}-v${image.version + 1}-${uuidv4().slice(0, 8)}${extension}`;
+        return { filename, path: `${path.posix.dirname(image.path)}/${filename}` };
+    }
+
+    /**
+     * Make an original written to `changes.path` current, keeping the previous one as a version
+     * `image` must carry the ETag of its original. When the catalog rejects the change
+     * (409 when another request replaced the image first) the written file is deleted
+     */
+    async commit(image, changes, replacedBy) {
+        let updated;
+
+        try {
+            updated = await imageCatalog.replace(image, changes, replacedBy);
+        } catch (error) {
+            await storage.disk(image.disk).delete(changes.path).catch(() => {});
+            throw error;
+        }
+
+        await this.prune(updated);
+        return updated;
+    }
+
+    /**
+     * Make a copy of a previous original the current one; the history is kept
+     * A partial copy is deleted before the error is rethrown, its path belongs to this call
+     */
+    async restore(image, previous, restoredBy) {
+        const { filename, path: filePath } = this.path(image, path.posix.extname(previous.path));
+        const disk = storage.disk(image.disk);
+
+        try {
+            await disk.writeStream(filePath, await storage.disk(previous.disk).readStream(previous.path), {
+                contentType: previous.mimetype,
+                acl: image.visibility === 'private' ? 'private' : 'public-read',
+            });
+        } catch (error) {
+            await disk.delete(filePath).catch(() => {});
+            throw error;
+        }
+
+        return await this.commit(image, {
+            path: filePath,
+            filename,
+            originalName: previous.originalName,
+            mimetype: previous.mimetype,
+            size: previous.size,
+            width: previous.width,
+            height: previous.height,
+            hasAlpha: previous.hasAlpha,
+            etag: previous.etag,
+        }, restoredBy);
+    }
+
+    /**
+     * Delete the oldest versions past the retention count from the disk and the catalog
+     */
+    async prune(image) {
+        const expired = (await imageCatalog.versions(image.id)).slice(this.retention(image.disk));
+
+        for (const version of expired) {
+            await storage.disk(version.disk).delete(version.path).catch((error) => {
+                console.log('Previous version not found in storage:', error.message);
+            });
+            await imageCatalog.deleteVersion(image.id, version.version);
+        }
+
+        return expired.length;
+    }
+}
+
+module.exports = new ImageVersions();
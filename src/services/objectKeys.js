@@ -0,0 +1,208 @@
+const config = require('../config');
+
+// A single path segment: no "..", no hidden files, no separators
+const SEGMENT = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+const MAX_SEGMENTS = 10;
+
+const PLACEHOLDERS = ['uuid', 'ext', 'slug', 'tenant', 'user', 'yyyy', 'mm', 'dd'];
+
+// Letters NFKD does not decompose into an ASCII base letter
+const TRANSLITERATIONS = {
+    ı: 'i', ß: 'ss', æ: 'ae', ø: 'o', œ: 'oe', đ: 'd', ł: 'l', þ: 'th',
+};
+
+// Suffixed candidates tried before falling back to part of the uuid
+const MAX_SUFFIX = 10;
+
+// Error with an HTTP status for the upload routes
+const invalid = (message) => {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+};
+
+const conflict = (message) => {
+    const error = new Error(message);
+    error.status = 409;
+    return error;
+};
+
+/**
+ * Object Keys
+ * Builds the storage path of an upload: `<directory>/<folder>/<template>`,
+ * where the template (per disk, or per request) may organize files by
+ * tenant, user, date and a slug of the original name. Keys that are already
+ * taken get a numeric suffix.
+ */
+class ObjectKeys {
+    /**
+     * Validate a folder ('' or 'a/b'); segments that could leave the directory are rejected
+     */
+    parseFolder(value) {
+        if (value === undefined || value === '') {
+            return '';
+        }
+
+        const segments = String(value).replace(/^\/+|\/+$/g, '').split('/');
+
+        if (segments.length > MAX_SEGMENTS || !segments.every((segment) => SEGMENT.test(segment))) {
+            throw invalid('folder must be up to 10 "/" separated segments of letters, digits, ".", "_" and "-"');
+        }
+
+        return segments.join('/');
+    }
+
+    /**
+     * Validate a path template; `{ext}` is appended when the template leaves it out
+     * Returns null for an empty value
+     */
+    parseTemplate(value) {
+        if (value === undefined || value === null || value === '') {
+            return null;
+        }
+
+        const template = String(value).replace(/^\/+|\/+$/g, '');
+        const unknown = (template.match(/\{[^}]*\}/g) || [])
+            .map((placeholder) => placeholder.slice(1, -1))
+            .find((name) => !PLACEHOLDERS.includes(name));
+
+        if (unknown !== undefined) {
+            const accepted = PLACEHOLDERS.map((name) => `{${name}}`).join(', ');
+            throw invalid(`Unknown path placeholder {${unknown}}, use ${accepted}`);
+        }
+
+        if (!/\{(uuid|slug)\}/.test(template)) {
+            throw invalid('path must contain {uuid} or {slug}');
+        }
+
+        return template.includes('{ext}') ? template : `${template}{ext}`;
+    }
+
+    /**
+     * Template of a disk (`pathTemplate` in its config, otherwise STORAGE_PATH_TEMPLATE)
+     */
+    templateFor(diskName) {
+        return this.parseTemplate(config.storage.disks?.[diskName]?.pathTemplate || config.storage.pathTemplate);
+    }
+
+    /**
+     * URL and file system safe slug of a file name, without its extension
+     * Short enough to leave room for an extension and a collision suffix in one segment
+     * "Çiçek Bahçesi (2).JPG" -> "cicek-bahcesi-2"
+     */
+    slug(name = '') {
+        const base = String(name).replace(/\.[^./\\]*$/, '');
+        const slug = base
+            .toLowerCase()
+            .replace(/[ıßæøœđłþ]/g, (char) => TRANSLITERATIONS[char])
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-z0-9]+/g, '-')
+            .slice(0, 48)
+            .replace(/^-+|-+$/g, '');
+
+        return slug || 'file';
+    }
+
+    /**
+     * Fill in a template
+     * `values`: { uuid, ext, originalName, tenant, ownerId, date }
+     * Throws 400 when a placeholder has no value or renders an unsafe path;
+     * `{ext}` may be empty, for types without a known extension
+     */
+    render(template, { uuid, ext = '', originalName, tenant, ownerId, date = new Date() }) {
+        const values = {
+            uuid,
+            ext,
+            slug: this.slug(originalName),
+            tenant,
+            user: ownerId,
+            yyyy: String(date.getUTCFullYear()),
+            mm: String(date.getUTCMonth() + 1).padStart(2, '0'),
+            dd: String(date.getUTCDate()).padStart(2, '0'),
+        };
+
+        const rendered = template.replace(/\{(\w+)\}/g, (match, name) => {
+            const value = values[name];
+
+            if (name === 'ext' && value === '') {
+                return '';
+            }
+            if (value === undefined || value === null || value === '') {
+                throw invalid(`The path template needs a value for {${name}}`);
+            }
+            if (String(value).includes('/')) {
+                throw invalid(`{${name}} must not contain "/"`);
+            }
+            return String(value);
+        });
+
+        const segments = rendered.split('/');
+        if (segments.length > MAX_SEGMENTS || !segments.every((segment) => SEGMENT.test(segment))) {
+            throw invalid(`Path "${rendered}" is not valid: `
+                + 'use up to 10 segments of letters, digits, ".", "_" and "-"');
+        }
+
+        return rendered;
+    }
+
+    /**
+     * Folder a template sets aside for a user: "images/{tenant}/{user}" -> "images/acme/u1"
+     * Returns null when there is no template or it cannot be filled in for the user
+     */
+    scope(template, { tenant, ownerId }) {
+        if (!template) {
+            return null;
+        }
+
+        try {
+            return this.render(String(template).replace(/^\/+|\/+$/g, ''), { tenant, ownerId });
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Whether a directory ('' or 'a/b') is a scope folder or lies below it
+     */
+    inScope(directory, scope) {
+        const trimmed = String(directory).replace(/^\/+|\/+$/g, '');
+        return trimmed === scope || trimmed.startsWith(`${scope}/`);
+    }
+
+    /**
+     * Storage path for a new upload, reserved for it
+     * `reserve(key)` resolves true when the key was free and is now held by the caller;
+     * taken keys get "-2", "-3", ... before the extension, then part of the uuid, then all of it
+     * Throws 409 when even the full uuid key is taken
+     */
+    async resolve(reserve, { directory, folder, template, ...values }) {
+        const prefix = [directory, this.parseFolder(folder)].filter(Boolean).join('/');
+        const key = `${prefix}/${this.render(template, values)}`;
+        const { ext = '', uuid } = values;
+
+        // Keys with a fresh uuid cannot be taken, no need to ask the disk
+        if (template.includes('{uuid}')) {
+            return key;
+        }
+
+        const stem = ext && key.endsWith(ext) ? key.slice(0, -ext.length) : key;
+        const extension = stem === key ? '' : ext;
+        const candidates = [
+            key,
+            ...Array.from({ length: MAX_SUFFIX - 1 }, (_, index) => `${stem}-${index + 2}${extension}`),
+            `${stem}-${uuid.slice(0, 8)}${extension}`,
+            `${stem}-${uuid}${extension}`,
+        ];
+
+        for (const candidate of candidates) {
+            if (await reserve(candidate)) {
+                return candidate;
+            }
+        }
+
+        throw conflict(`No free storage path left for "${key}"`);
+    }
+}
+
+module.exports = new ObjectKeys();
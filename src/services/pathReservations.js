@@ -0,0 +1,58 @@
+const db = require('../db');
+
+// Reservations older than this belong to requests that died before releasing them
+const STALE_AFTER = 24 * 60 * 60;
+
+/**
+ * Path Reservations
+ * Claims storage paths while an upload is being written. Checking the disk
+ * and then writing leaves a window in which two uploads of the same name pick
+ * the same path; inserting the reservation first closes it, as only one
+ * insert per path can succeed.
+ */
+class PathReservations {
+    constructor(table = 'reserved_paths') {
+        this.table = table;
+    }
+
+    /**
+     * Base query builder for the reservations table
+     */
+    query() {
+        return db(this.table);
+    }
+
+    /**
+     * Reserve a path on a disk
+     * Returns false when another upload holds it
+     */
+    async reserve(disk, path) {
+        try {
+            await this.query().insert({ disk, path });
+            return true;
+        } catch (error) {
+            if (error.code === '23505') {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Release a reservation once the path is written (or given up)
+     */
+    async release(disk, path) {
+        await this.query().where({ disk, path }).del();
+    }
+
+    /**
+     * Delete reservations left behind by requests that never released them
+     */
+    async cleanupStale() {
+        return await this.query()
+            .where('created_at', '<', new Date(Date.now() - STALE_AFTER * 1000))
+            .del();
+    }
+}
+
+module.exports = new PathReservations();
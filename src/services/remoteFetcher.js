@@ -0,0 +1,265 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+
+// Error with an HTTP status for the import route
+const failure = (status, message) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+// Addresses a fetch may never connect to: loopback, private, link-local,
+// carrier-grade NAT, multicast, documentation and reserved ranges, plus the
+// 6to4 and Teredo tunnel prefixes, which can carry any IPv4 address
+const BLOCKED = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+    ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+    ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001::', 32], ['2001:db8::', 32],
+    ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, 'ipv6'));
+
+// IPv4-mapped IPv6 addresses are checked as the IPv4 address they carry
+const MAPPED = new net.BlockList();
+MAPPED.addSubnet('::ffff:0:0', 96, 'ipv6');
+
+/**
+ * Remote Fetcher
+ * Downloads a remote URL to a temporary file for import, with size, time and
+ * redirect limits. Every address a request connects to (including the ones
+ * behind redirects and DNS answers) is checked against private ranges, so the
+ * service cannot be used to reach internal hosts.
+ */
+class RemoteFetcher {
+    constructor() {
+        this.directory = path.join(os.tmpdir(), 'cdn-services-uploads');
+    }
+
+    /**
+     * Download a URL to a temporary file
+     * `accept(mimetype)` may throw to reject a response by its declared type
+     * before the body is read. Resolves with `{ path, size, mimetype,
+     * originalName, url }`; throws an error with status 400 (URL not allowed),
+     * 413 (too large), 502 (remote error) or 504 (timeout)
+     */
+    async download(url, { accept = () => {} } = {}) {
+        const { timeout, maxRedirects } = config.remoteFetch;
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeout);
+
+        try {
+            let current = this.parse(url);
+
+            for (let redirects = 0; ; redirects += 1) {
+                const response = await this.request(current, controller.signal);
+
+                if (![301, 302, 303, 307, 308].includes(response.statusCode)) {
+                    return await this.save(current, response, accept);
+                }
+
+                response.resume();
+
+                if (redirects >= maxRedirects) {
+                    throw failure(502, `More than ${maxRedirects} redirects`);
+                }
+                if (!response.headers.location) {
+                    throw failure(502, 'Redirect without a Location header');
+                }
+
+                current = this.parse(new URL(response.headers.location, current).href);
+            }
+        } catch (error) {
+            if (controller.signal.aborted) {
+                throw failure(504, `Remote server did not respond within ${timeout} ms`);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Parse and vet a URL: http(s) only, no credentials, no blocked literal addresses
+     */
+    parse(value) {
+        let url;
+
+        try {
+            url = new URL(value);
+        } catch {
+            throw failure(400, 'url must be an absolute http or https URL');
+        }
+
+        if (!['http:', 'https:'].includes(url.protocol)) {
+            throw failure(400, 'url must be an absolute http or https URL');
+        }
+
+        if (url.username || url.password) {
+            throw failure(400, 'url must not contain credentials');
+        }
+
+        // Literal addresses never go through the DNS lookup below
+        const host = url.hostname.replace(/^\[|\]$/g, '');
+        if (net.isIP(host) && this.isBlocked(host) && !this.isAllowedHost(host)) {
+            throw failure(400, `${url.hostname} is a private or reserved address`);
+        }
+
+        return url;
+    }
+
+    /**
+     * Send a GET request, resolving with the response once headers arrive
+     */
+    request(url, signal) {
+        const client = url.protocol === 'https:' ? https : http;
+
+        return new Promise((resolve, reject) => {
+            const req = client.get(url, {
+                signal,
+                lookup: this.lookup(url.hostname),
+                headers: { 'User-Agent': 'cdn-services-import/1.0', Accept: 'image/*,*/*;q=0.8' },
+            }, resolve);
+
+            req.on('error', (error) => {
+                reject(error.status ? error : failure(502, `Could not fetch ${url.origin}: ${error.message}`));
+            });
+        });
+    }
+
+    /**
+     * DNS lookup that refuses to hand out blocked addresses
+     * Used by the socket itself, so a rebinding DNS answer cannot slip through
+     */
+    lookup(hostname) {
+        return (host, options, callback) => {
+            dns.lookup(host, { ...options, all: true }, (error, addresses) => {
+                if (error) {
+                    return callback(error);
+                }
+
+                const blocked = addresses.find(({ address }) => this.isBlocked(address));
+                if (blocked && !this.isAllowedHost(hostname)) {
+                    return callback(failure(400, `${hostname} resolves to a private or reserved address`));
+                }
+
+                if (options.all) {
+                    return callback(null, addresses);
+                }
+                callback(null, addresses[0].address, addresses[0].family);
+            });
+        };
+    }
+
+    /**
+     * Stream a successful response to a temporary file, enforcing the size limit
+     */
+    async save(url, response, accept) {
+        const maxSize = Math.min(config.remoteFetch.maxSize, config.files.maxSize);
+
+        if (response.statusCode < 200 || response.statusCode >= 300) {
+            response.resume();
+            throw failure(502, `Remote server answered with status ${response.statusCode}`);
+        }
+
+        const mimetype = response.headers['content-type'] || '';
+        const declared = parseInt(response.headers['content-length'], 10);
+
+        try {
+            accept(mimetype);
+
+            if (declared > maxSize) {
+                throw failure(413, `Remote file exceeds the ${maxSize} byte limit`);
+            }
+        } catch (error) {
+            response.destroy();
+            throw error;
+        }
+
+        await fs.promises.mkdir(this.directory, { recursive: true });
+        const target = path.join(this.directory, uuidv4());
+        let size = 0;
+
+        const limit = new Transform({
+            transform(chunk, encoding, callback) {
+                size += chunk.length;
+                if (size > maxSize) {
+                    return callback(failure(413, `Remote file exceeds the ${maxSize} byte limit`));
+                }
+                callback(null, chunk);
+            },
+        });
+
+        try {
+            await pipeline(response, limit, fs.createWriteStream(target));
+        } catch (error) {
+            await fs.promises.rm(target, { force: true });
+            throw error.status ? error : failure(502, `Download interrupted: ${error.message}`);
+        }
+
+        return {
+            path: target,
+            size,
+            mimetype,
+            originalName: this.filename(url),
+            url: url.href,
+        };
+    }
+
+    /**
+     * File name for the catalog: the last path segment of the URL
+     */
+    filename(url) {
+        const segment = url.pathname.split('/').filter(Boolean).pop();
+
+        try {
+            return segment ? decodeURIComponent(segment).slice(0, 255) : 'download';
+        } catch {
+            return segment.slice(0, 255);
+        }
+    }
+
+    /**
+     * Check an address against the blocked ranges (IPv4-mapped IPv6 as IPv4)
+     */
+    isBlocked(address) {
+        if (net.isIPv4(address)) {
+            return BLOCKED.check(address, 'ipv4');
+        }
+
+        if (MAPPED.check(address, 'ipv6')) {
+            // ::ffff:a.b.c.d, which URLs normalize to ::ffff:XXXX:XXXX
+            const [high, low] = address.split(':').slice(-2);
+            const ipv4 = low.includes('.')
+                ? low
+                : [high, low].flatMap((group) => {
+                    const value = parseInt(group, 16);
+                    return [Math.floor(value / 256), value % 256];
+                }).join('.');
+            return BLOCKED.check(ipv4, 'ipv4');
+        }
+
+        return BLOCKED.check(address, 'ipv6');
+    }
+
+    /**
+     * Hosts exempted from the private range check (REMOTE_FETCH_ALLOWED_HOSTS)
+     */
+    isAllowedHost(hostname) {
+        return config.remoteFetch.allowedHosts.includes(hostname.replace(/^\[|\]$/g, '').toLowerCase());
+    }
+}
+
+module.exports = new RemoteFetcher();
@@ -0,0 +1,246 @@
+const fs = require('fs');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../db');
+const config = require('../config');
+
+// A lock not refreshed for this long belongs to a request that died
+const LOCK_TIMEOUT = 5 * 60;
+const LOCK_REFRESH = 60;
+
+// Error with an HTTP status for the tus routes
+const uploadError = (status, message) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+/**
+ * Resumable Uploads
+ * State and staging of tus uploads. Chunks are appended to a staging file;
+ * the offset always reflects the bytes that actually reached disk, so an
+ * interrupted PATCH can be resumed from where it stopped. Appends are locked
+ * in the database; with several replicas the staging directory must be shared.
+ */
+class ResumableUploads {
+    constructor(table = 'uploads') {
+        this.table = table;
+        this.directory = config.resumable.directory;
+        this.expiration = config.resumable.expiration;
+        this.ready = fs.promises.mkdir(this.directory, { recursive: true });
+    }
+
+    /**
+     * Base query builder for the uploads table
+     */
+    query() {
+        return db(this.table);
+    }
+
+    /**
+     * Staging file of an upload
+     */
+    stagingPath(id) {
+        return path.join(this.directory, id);
+    }
+
+    /**
+     * Register a new upload and create its empty staging file
+     */
+    async create({ ownerId, length, metadata = {} }) {
+        await this.ready;
+
+        const id = uuidv4();
+        await fs.promises.writeFile(this.stagingPath(id), '');
+
+        await this.query().insert({
+            id,
+            owner_id: ownerId !== undefined ? String(ownerId) : null,
+            upload_length: length,
+            upload_offset: 0,
+            metadata: JSON.stringify(metadata),
+            expires_at: new Date(Date.now() + this.expiration * 1000),
+        });
+
+        return await this.find(id);
+    }
+
+    /**
+     * Find an upload by id
+     */
+    async find(id) {
+        const row = await this.query().where({ id }).first();
+        return row ? this.fromRow(row) : null;
+    }
+
+    /**
+     * Lock an upload for appending at its current offset
+     * Throws 409 when another request moved the offset, 423 while another request holds the lock
+     */
+    async lock(upload) {
+        const locked = await this.query()
+            .where({ id: upload.id, upload_offset: upload.offset })
+            .whereNull('file_id')
+            .where((query) => query
+                .whereNull('locked_at')
+                .orWhere('locked_at', '<', new Date(Date.now() - LOCK_TIMEOUT * 1000)))
+            .update({ locked_at: db.fn.now() });
+
+        if (locked > 0) {
+            return;
+        }
+
+        const current = await this.find(upload.id);
+        if (!current || current.offset !== upload.offset || current.fileId) {
+            throw uploadError(409, 'Upload-Offset does not match the current offset');
+        }
+        throw uploadError(423, 'Another request is writing to this upload');
+    }
+
+    /**
+     * Append a request body to the staging file
+     * Stops with an error (status 413) once the declared length would be exceeded;
+     * the stored offset is updated from the file size either way
+     */
+    async append(upload, stream) {
+        await this.lock(upload);
+
+        // Long transfers keep the lock from going stale
+        const refresh = setInterval(() => {
+            this.query().where({ id: upload.id }).update({ locked_at: db.fn.now() }).catch(() => {});
+        }, LOCK_REFRESH * 1000);
+        let remaining = upload.length - upload.offset;
+
+        const limit = new Transform({
+            transform(chunk, encoding, callback) {
+                if (chunk.length > remaining) {
+                    return callback(uploadError(413, 'Chunk exceeds the declared Upload-Length'));
+                }
+                remaining -= chunk.length;
+                callback(null, chunk);
+            },
+        });
+
+        try {
+            await pipeline(stream, limit, fs.createWriteStream(this.stagingPath(upload.id), { flags: 'a' }));
+        } catch (error) {
+            // Aborted connections keep the bytes that were written, the client resumes from there
+            const aborted = ['ECONNRESET', 'ECONNABORTED', 'ERR_STREAM_PREMATURE_CLOSE'].includes(error.code)
+                || error.message === 'aborted';
+
+            if (!aborted) {
+                throw error;
+            }
+        } finally {
+            clearInterval(refresh);
+            const { size } = await fs.promises.stat(this.stagingPath(upload.id));
+            await this.query().where({ id: upload.id }).update({
+                upload_offset: size,
+                locked_at: null,
+                updated_at: db.fn.now(),
+            });
+        }
+
+        return await this.find(upload.id);
+    }
+
+    /**
+     * Claim the completion of an upload for the catalog entry `fileId`, once
+     * Returns false when another request is already completing it
+     */
+    async claim(upload, fileId) {
+        const updated = await this.query()
+            .where({ id: upload.id })
+            .whereNull('file_id')
+            .update({ file_id: fileId, updated_at: db.fn.now() });
+        return updated > 0;
+    }
+
+    /**
+     * Undo a claim after the file could not be stored so the upload can be completed again
+     */
+    async release(upload, fileId) {
+        await this.query().where({ id: upload.id, file_id: fileId }).update({
+            file_id: null,
+            updated_at: db.fn.now(),
+        });
+    }
+
+    /**
+     * Drop the staged chunks of a claimed upload once its file is stored
+     */
+    async complete(upload) {
+        await fs.promises.rm(this.stagingPath(upload.id), { force: true });
+        return await this.find(upload.id);
+    }
+
+    /**
+     * Delete an upload and its staged chunks
+     */
+    async terminate(upload) {
+        await fs.promises.rm(this.stagingPath(upload.id), { force: true });
+        const deleted = await this.query().where({ id: upload.id }).del();
+        return deleted > 0;
+    }
+
+    /**
+     * Delete unfinished uploads that passed their expiration
+     */
+    async cleanupExpired() {
+        const rows = await this.query()
+            .whereNull('file_id')
+            .where('expires_at', '<', new Date());
+
+        for (const row of rows) {
+            await this.terminate(this.fromRow(row));
+        }
+
+        return rows.length;
+    }
+
+    /**
+     * Parse a tus `Upload-Metadata` header ("key base64value,key2 base64value")
+     */
+    parseMetadata(header = '') {
+        return Object.fromEntries(
+            header
+                .split(',')
+                .map((pair) => pair.trim())
+                .filter(Boolean)
+                .map((pair) => {
+                    const [key, value = ''] = pair.split(' ');
+                    return [key, Buffer.from(value, 'base64').toString('utf8')];
+                })
+        );
+    }
+
+    /**
+     * Serialize metadata back to the `Upload-Metadata` header format
+     */
+    formatMetadata(metadata = {}) {
+        return Object.entries(metadata)
+            .map(([key, value]) => (value === '' ? key : `${key} ${Buffer.from(value).toString('base64')}`))
+            .join(',');
+    }
+
+    /**
+     * Map a database row to an upload object
+     */
+    fromRow(row) {
+        return {
+            id: row.id,
+            ownerId: row.owner_id,
+            length: parseInt(row.upload_length, 10) || 0,
+            offset: parseInt(row.upload_offset, 10) || 0,
+            metadata: row.metadata ? JSON.parse(row.metadata) : {},
+            fileId: row.file_id,
+            expiresAt: row.expires_at ? new Date(row.expires_at) : null,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at,
+        };
+    }
+}
+
+module.exports = new ResumableUploads();
@@ -0,0 +1,273 @@
+const { XMLParser, XMLBuilder, XMLValidator } = require('fast-xml-parser');
+
+// Parse/build options: keep document order, attributes and CDATA, never expand entities
+const XML_OPTIONS = {
+    preserveOrder: true,
+    ignoreAttributes: false,
+    attributeNamePrefix: '',
+    allowBooleanAttributes: true,
+    processEntities: false,
+    htmlEntities: false,
+    parseTagValue: false,
+    parseAttributeValue: false,
+    trimValues: false,
+    ignoreDeclaration: true,
+    ignorePiTags: true,
+    cdataPropName: '#cdata',
+    commentPropName: '#comment',
+};
+
+// Elements that can only draw; anything else (script, foreignObject, iframe...) is dropped with its children
+const ALLOWED_ELEMENTS = new Set([
+    'svg', 'g', 'defs', 'symbol', 'use', 'image', 'switch', 'a', 'view', 'title', 'desc', 'style',
+    'path', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon',
+    'text', 'tspan', 'textPath',
+    'linearGradient', 'radialGradient', 'stop', 'pattern', 'clipPath', 'mask', 'marker',
+    'animate', 'animateMotion', 'animateTransform', 'mpath',
+    'filter', 'feBlend', 'feColorMatrix', 'feComponentTransfer', 'feComposite', 'feConvolveMatrix',
+    'feDiffuseLighting', 'feDisplacementMap', 'feDistantLight', 'feDropShadow', 'feFlood',
+    'feFuncA', 'feFuncB', 'feFuncG', 'feFuncR', 'feGaussianBlur', 'feImage', 'feMerge', 'feMergeNode',
+    'feMorphology', 'feOffset', 'fePointLight', 'feSpecularLighting', 'feSpotLight', 'feTile', 'feTurbulence',
+]);
+
+// Elements allowed to embed a raster image through a data: URI
+const IMAGE_ELEMENTS = new Set(['image', 'feImage']);
+
+const SAFE_DATA_URI = /^data:image\/(png|jpe?g|gif|webp|avif);base64,[a-z0-9+/=\s]+$/i;
+
+// url(...) references that leave the document
+const EXTERNAL_URL = /url\(\s*(?!['"]?\s*#)[^)]*\)/gi;
+
+// Entity references other than the predefined and numeric ones (their DOCTYPE is dropped)
+const UNDECLARED_ENTITY = /&(?!(lt|gt|amp|quot|apos|#\d+|#x[0-9a-f]+);)/gi;
+
+// Predefined and numeric entity references, decoded before a link is checked
+const ENTITY = /&(lt|gt|amp|quot|apos|#\d+|#x[0-9a-f]+);/gi;
+const PREDEFINED_ENTITIES = {
+    lt: '<', gt: '>', amp: '&', quot: '"', apos: "'",
+};
+
+// Whitespace and control characters browsers ignore inside a URL scheme ("java\tscript:")
+const isIgnoredUrlCharacter = (char) => {
+    const code = char.charCodeAt(0);
+    return code <= 0x20 || (code >= 0x7F && code <= 0x9F);
+};
+
+/**
+ * SVG Sanitizer
+ * Rewrites uploaded SVGs to a drawing-only subset: no scripts, event
+ * handlers, foreign objects, external references or DOCTYPE entities
+ */
+class SvgSanitizer {
+    /**
+     * Sanitize an SVG document
+     * Throws an error with status 422 when the document is not a valid SVG
+     */
+    sanitize(contents) {
+        const source = Buffer.isBuffer(contents) ? contents.toString('utf8') : String(contents);
+
+        if (XMLValidator.validate(source) !== true) {
+            throw this.invalid('SVG is not well-formed XML');
+        }
+
+        const nodes = new XMLParser(XML_OPTIONS).parse(source);
+        const root = nodes.filter((node) => !this.isText(node));
+
+        if (root.length !== 1 || this.tagName(root[0]) !== 'svg') {
+            throw this.invalid('Document root must be a single <svg> element');
+        }
+
+        const cleaned = this.cleanNodes(root);
+        const svg = new XMLBuilder({ ...XML_OPTIONS, suppressEmptyNode: true }).build(cleaned);
+
+        return Buffer.from(`<?xml version="1.0" encoding="UTF-8"?>\n${svg}`);
+    }
+
+    /**
+     * Clean a list of child nodes, dropping disallowed ones
+     */
+    cleanNodes(nodes) {
+        return nodes
+            .map((node) => this.cleanNode(node))
+            .filter(Boolean);
+    }
+
+    /**
+     * Clean a single node, or return null to drop it
+     */
+    cleanNode(node) {
+        if (node['#text'] !== undefined) {
+            return { '#text': this.escapeEntities(node['#text']) };
+        }
+
+        if (node['#comment'] !== undefined) {
+            return null;
+        }
+
+        // CDATA stays character data; <style> content is cleaned below
+        if (node['#cdata'] !== undefined) {
+            return node;
+        }
+
+        const name = this.tagName(node);
+
+        if (!ALLOWED_ELEMENTS.has(name)) {
+            return null;
+        }
+
+        const attributes = this.cleanAttributes(name, node[':@'] || {});
+
+        // Animations must not rewrite links or event handlers
+        const animated = this.localName(this.urlValue(attributes.attributeName || ''));
+        if (name.startsWith('animate') && /^(href$|on)/.test(animated)) {
+            return null;
+        }
+
+        let children = this.cleanNodes(node[name] || []);
+
+        if (name === 'style') {
+            children = children.map((child) => this.cleanStyleNode(child));
+        }
+
+        const cleaned = { [name]: children };
+
+        if (Object.keys(attributes).length > 0) {
+            cleaned[':@'] = attributes;
+        }
+
+        return cleaned;
+    }
+
+    /**
+     * Drop event handlers and external references from an element's attributes
+     */
+    cleanAttributes(element, attributes) {
+        const cleaned = {};
+
+        for (const [name, rawValue] of Object.entries(attributes)) {
+            const value = this.escapeEntities(String(rawValue));
+            const lowerName = name.toLowerCase();
+            const localName = this.localName(name);
+            const url = this.urlValue(value);
+
+            if (localName.startsWith('on') || lowerName === 'xml:base') {
+                continue;
+            }
+
+            // Links are matched by local name: the XLink namespace can be bound to any prefix (xl:href)
+            if (localName === 'href') {
+                const isFragment = url.startsWith('#');
+                const isEmbedded = IMAGE_ELEMENTS.has(element) && SAFE_DATA_URI.test(url);
+
+                if (isFragment || isEmbedded) {
+                    cleaned[name] = value;
+                }
+                continue;
+            }
+
+            if (lowerName === 'style') {
+                const style = this.cleanCss(value);
+                if (style.trim()) {
+                    cleaned[name] = style;
+                }
+                continue;
+            }
+
+            // Presentation attributes such as fill="url(...)" may only point inside the document
+            if (/url\(/i.test(value) && value.replace(EXTERNAL_URL, '') !== value) {
+                continue;
+            }
+
+            if (/^javascript:/i.test(url)) {
+                continue;
+            }
+
+            cleaned[name] = value;
+        }
+
+        return cleaned;
+    }
+
+    /**
+     * Clean the text or CDATA content of a <style> element
+     */
+    cleanStyleNode(node) {
+        if (node['#text'] !== undefined) {
+            return { '#text': this.cleanCss(node['#text']) };
+        }
+
+        if (node['#cdata'] !== undefined) {
+            return { '#cdata': node['#cdata'].map((part) => ({ '#text': this.cleanCss(part['#text'] || '') })) };
+        }
+
+        return node;
+    }
+
+    /**
+     * Remove imports, external url() references and legacy script hooks from CSS
+     */
+    cleanCss(css) {
+        return css
+            .replace(/@import[^;]*;?/gi, '')
+            .replace(EXTERNAL_URL, 'none')
+            .replace(/expression\s*\(/gi, '(')
+            .replace(/javascript:/gi, '')
+            .replace(/-moz-binding\s*:[^;}]*/gi, '')
+            .replace(/behavior\s*:[^;}]*/gi, '');
+    }
+
+    /**
+     * Escape entity references that would otherwise be undefined
+     */
+    escapeEntities(value) {
+        return value.replace(UNDECLARED_ENTITY, '&amp;');
+    }
+
+    /**
+     * Attribute name without its namespace prefix, lowercased
+     */
+    localName(name) {
+        return name.slice(name.lastIndexOf(':') + 1).toLowerCase();
+    }
+
+    /**
+     * Attribute value as a browser reads it when resolving a URL:
+     * entity references decoded, whitespace and control characters removed
+     */
+    urlValue(value) {
+        const decoded = value.replace(ENTITY, (entity, name) => {
+            if (name[0] !== '#') {
+                return PREDEFINED_ENTITIES[name.toLowerCase()];
+            }
+            const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+            return code <= 0x10ffff ? String.fromCodePoint(code) : '';
+        });
+
+        return [...decoded].filter((char) => !isIgnoredUrlCharacter(char)).join('');
+    }
+
+    /**
+     * Element name of a parsed node
+     */
+    tagName(node) {
+        return Object.keys(node).find((key) => key !== ':@');
+    }
+
+    /**
+     * Whether a parsed node is whitespace/text
+     */
+    isText(node) {
+        return node['#text'] !== undefined || node['#comment'] !== undefined;
+    }
+
+    /**
+     * Error with status 422 for the upload routes
+     */
+    invalid(message) {
+        const error = new Error(message);
+        error.status = 422;
+        return error;
+    }
+}
+
+module.exports = new SvgSanitizer();
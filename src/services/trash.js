@@ -0,0 +1,87 @@
+const config = require('../config');
+const imageCatalog = require('./imageCatalog');
+const imageFiles = require('./imageFiles');
+const cachePurge = require('./cachePurge');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Trash
+ * Deleted images stay restorable for `TRASH_RETENTION_DAYS`. Their files stay
+ * on the disk until they are purged, but are made private so the disk's public
+ * URLs stop serving them; restoring an image brings its visibility back.
+ */
+class Trash {
+    constructor() {
+        this.retentionDays = config.trash.retentionDays;
+    }
+
+    /**
+     * Move an image to the trash
+     * Resolves with the trashed image, or null when it is not in the catalog (anymore)
+     */
+    async trash(image, deletedBy = null) {
+        // Files are hidden first: if that fails, the image stays where it was
+        await imageFiles.setVisibility(image, 'private');
+
+        if (!await imageCatalog.trash(image.id, deletedBy)) {
+            return null;
+        }
+
+        // Cached variants and upstream CDN copies must not be served either
+        await cachePurge.image(image);
+
+        return await imageCatalog.findTrashed(image.id);
+    }
+
+    /**
+     * Take an image out of the trash and make its files readable as before
+     */
+    async restore(image) {
+        const restored = await imageCatalog.restore(image.id);
+
+        // Files stay private if this fails, which is the safe side
+        if (restored.visibility !== 'private') {
+            await imageFiles.setVisibility(restored, restored.visibility);
+        }
+
+        return restored;
+    }
+
+    /**
+     * Delete an image for good: its original, previous versions, cached variants and catalog entry
+     */
+    async destroy(image) {
+        const files = await imageFiles.delete(image);
+        const purged = await cachePurge.image(image);
+
+        await imageCatalog.delete(image.id);
+        console.log(`Image ${image.id} destroyed: ${files} files, ${purged.variants} cached variants`);
+
+        return { files, variants: purged.variants };
+    }
+
+    /**
+     * Destroy the images that have been in the trash longer than the retention period
+     */
+    async purgeExpired() {
+        const expired = await imageCatalog.trashed({
+            deletedBefore: new Date(Date.now() - this.retentionDays * DAY),
+        });
+
+        for (const image of expired) {
+            await this.destroy(image);
+        }
+
+        return expired.length;
+    }
+
+    /**
+     * When a trashed image will be purged
+     */
+    purgeAt(image) {
+        return new Date(image.deletedAt.getTime() + this.retentionDays * DAY);
+    }
+}
+
+module.exports = new Trash();
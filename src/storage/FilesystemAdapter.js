@@ -1,9 +1,66 @@
 const fs = require('fs').promises;
+const { createReadStream, createWriteStream } = require('fs');
 const path = require('path');
-const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand, HeadObjectCommand } = require('@aws-sdk/client-s3');
+const { pipeline } = require('stream/promises');
+const {
+    S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand, DeleteObjectsCommand, HeadObjectCommand,
+    ListObjectsV2Command, PutObjectAclCommand,
+} = require('@aws-sdk/client-s3');
 const { BlobServiceClient } = require('@azure/storage-blob');
 const { Storage } = require('@google-cloud/storage');
 
+/**
+ * Normalize a directory to a key prefix ('' for the root, otherwise 'a/b/')
+ */
+function directoryPrefix(directory = '') {
+    const trimmed = String(directory).replace(/^\/+|\/+$/g, '');
+
+    if (trimmed.split('/').includes('..')) {
+        const error = new Error('Directory must not contain ".." segments');
+        error.status = 400;
+        throw error;
+    }
+
+    return trimmed ? `${trimmed}/` : '';
+}
+
+/**
+ * Directories between a prefix and each key (object stores have no real directories)
+ */
+function impliedDirectories(prefix, keys) {
+    const directories = new Set();
+
+    for (const key of keys) {
+        const segments = key.slice(prefix.length).split('/').slice(0, -1);
+        segments.forEach((segment, index) => {
+            directories.add(prefix + segments.slice(0, index + 1).join('/'));
+        });
+    }
+
+    return [...directories];
+}
+
+// Local listing cursors are the last returned path; encoded so clients treat them as opaque
+const encodeCursor = (value) => Buffer.from(value).toString('base64url');
+const decodeCursor = (cursor) => Buffer.from(cursor, 'base64url').toString('utf8');
+
+/**
+ * Local listing order: paths compared segment by segment, so a directory is
+ * followed by everything inside it (the order of a sorted depth-first walk)
+ */
+function comparePaths(a, b) {
+    const left = a.split('/');
+    const right = b.split('/');
+
+    for (let index = 0; index < Math.min(left.length, right.length); index += 1) {
+        if (left[index] !== right[index]) {
+            return left[index] < right[index] ? -1 : 1;
+        }
+    }
+
+    return left.length - right.length;
+}
+
 /**
  * Laravel-style Filesystem Adapter
  * Supports multiple storage drivers: local, s3, azure, gcs
@@ -57,6 +114,21 @@ class FilesystemAdapter {
         return await this.client.put(filePath, contents, options);
     }
 
+    /**
+     * Get a readable stream of a file
+     * `range`: optional inclusive byte range `{ start, end }`
+     */
+    async readStream(filePath, { range } = {}) {
+        return await this.client.readStream(filePath, { range });
+    }
+
+    /**
+     * Write a file from a readable stream
+     */
+    async writeStream(filePath, stream, options = {}) {
+        return await this.client.writeStream(filePath, stream, options);
+    }
+
     /**
      * Delete a file
      */
@@ -80,6 +152,88 @@ class FilesystemAdapter {
         return true;
     }
 
+    /**
+     * List one page of files and directories in a directory
+     * Resolves with `{ files: [{ path, size, lastModified }], directories: [path], cursor }`;
+     * pass `cursor` back for the next page, it is null on the last one
+     */
+    async list(directory = '', { recursive = false, limit = 1000, cursor = null } = {}) {
+        return await this.client.list(directoryPrefix(directory), { recursive, limit, cursor });
+    }
+
+    /**
+     * Get all file paths in a directory
+     */
+    async files(directory = '', recursive = false) {
+        const files = [];
+
+        await this.eachPage(directory, recursive, (page) => {
+            files.push(...page.files.map((file) => file.path));
+        });
+
+        return files;
+    }
+
+    /**
+     * Get all file paths in a directory and its subdirectories
+     */
+    async allFiles(directory = '') {
+        return await this.files(directory, true);
+    }
+
+    /**
+     * Get all directories within a directory
+     */
+    async directories(directory = '', recursive = false) {
+        const directories = new Set();
+
+        await this.eachPage(directory, recursive, (page) => {
+            page.directories.forEach((entry) => directories.add(entry));
+        });
+
+        return [...directories].sort();
+    }
+
+    /**
+     * Get all directories within a directory and its subdirectories
+     */
+    async allDirectories(directory = '') {
+        return await this.directories(directory, true);
+    }
+
+    /**
+     * Create a directory
+     */
+    async makeDirectory(directory) {
+        return await this.client.makeDirectory(directoryPrefix(directory));
+    }
+
+    /**
+     * Recursively delete a directory
+     */
+    async deleteDirectory(directory) {
+        const prefix = directoryPrefix(directory);
+
+        if (!prefix) {
+            throw new Error('Refusing to delete the root directory of a disk');
+        }
+
+        return await this.client.deleteDirectory(prefix);
+    }
+
+    /**
+     * Walk every listing page of a directory
+     */
+    async eachPage(directory, recursive, callback) {
+        let cursor = null;
+
+        do {
+            const page = await this.list(directory, { recursive, cursor });
+            callback(page);
+            ({ cursor } = page);
+        } while (cursor);
+    }
+
     /**
      * Get the file size
      */
@@ -101,6 +255,14 @@ class FilesystemAdapter {
         return await this.client.mimeType(filePath);
     }
 
+    /**
+     * Set who may read a file straight from the disk: `public` or `private`
+     * Files are written with the `acl` option of put()/writeStream(); this changes it afterwards
+     */
+    async setVisibility(filePath, visibility) {
+        return await this.client.setVisibility(filePath, visibility);
+    }
+
     /**
      * Get a URL for the file
      */
@@ -114,6 +276,15 @@ class FilesystemAdapter {
     async temporaryUrl(filePath, expiration = 3600) {
         return await this.client.temporaryUrl(filePath, expiration);
     }
+
+    /**
+     * Get a temporary URL a client can upload the file to directly
+     * Resolves with `{ method, url, headers }` (the request must send these headers),
+     * or null when the driver cannot accept uploads itself (local)
+     */
+    async temporaryUploadUrl(filePath, { expiration = 3600, contentType, acl } = {}) {
+        return await this.client.temporaryUploadUrl(filePath, { expiration, contentType, acl });
+    }
 }
 
 /**
@@ -122,7 +293,7 @@ class FilesystemAdapter {
 class LocalDriver {
     constructor(config) {
         this.root = config.root || path.join(process.cwd(), 'storage');
-        this.url = config.url || '/storage';
+        this.baseUrl = config.url || '/storage';
     }
 
     async ensureDirectory(dirPath) {
@@ -169,6 +340,24 @@ class LocalDriver {
         return true;
     }
 
+    async readStream(filePath, { range } = {}) {
+        const fullPath = this.getFullPath(filePath);
+
+        // Missing files reject here instead of erroring on the stream later
+        await fs.access(fullPath);
+
+        return createReadStream(fullPath, range ? { start: range.start, end: range.end } : {});
+    }
+
+    async writeStream(filePath, stream) {
+        const fullPath = this.getFullPath(filePath);
+
+        await this.ensureDirectory(path.dirname(fullPath));
+        await pipeline(stream, createWriteStream(fullPath));
+
+        return true;
+    }
+
     async delete(filePath) {
         try {
             const fullPath = this.getFullPath(filePath);
@@ -193,6 +382,79 @@ class LocalDriver {
         return true;
     }
 
+    async list(prefix, { recursive, limit, cursor }) {
+        const after = cursor ? decodeCursor(cursor) : null;
+        const entries = [];
+
+        // One entry past the page tells whether there is a next one
+        await this.walk(prefix, { recursive, after, entries, count: limit + 1 });
+        const page = entries.slice(0, limit);
+
+        return {
+            files: page
+                .filter((entry) => !entry.directory)
+                .map(({ path: filePath, size, lastModified }) => ({ path: filePath, size, lastModified })),
+            directories: page.filter((entry) => entry.directory).map((entry) => entry.path),
+            cursor: entries.length > limit ? encodeCursor(page[page.length - 1].path) : null,
+        };
+    }
+
+    // Sorted depth-first walk collecting the entries after `after` into `entries`
+    // Stops once `count` entries are collected; subtrees before the cursor are not read
+    async walk(prefix, { recursive, after, entries, count }) {
+        let dirents;
+
+        try {
+            dirents = await fs.readdir(this.getFullPath(prefix), { withFileTypes: true });
+        } catch (error) {
+            if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+                return;
+            }
+            throw error;
+        }
+
+        dirents.sort((a, b) => (a.name < b.name ? -1 : 1));
+
+        for (const dirent of dirents) {
+            if (entries.length >= count) {
+                return;
+            }
+
+            const entryPath = `${prefix}${dirent.name}`;
+            const isNext = after === null || comparePaths(entryPath, after) > 0;
+
+            if (dirent.isDirectory()) {
+                if (isNext) {
+                    entries.push({ path: entryPath, directory: true });
+                }
+                if (recursive && (isNext || entryPath === after || after.startsWith(`${entryPath}/`))) {
+                    await this.walk(`${entryPath}/`, { recursive, after, entries, count });
+                }
+            } else if (dirent.isFile() && isNext) {
+                const stats = await fs.stat(this.getFullPath(entryPath));
+                entries.push({ path: entryPath, size: stats.size, lastModified: Math.floor(stats.mtimeMs / 1000) });
+            }
+        }
+    }
+
+    async makeDirectory(prefix) {
+        await this.ensureDirectory(this.getFullPath(prefix));
+        return true;
+    }
+
+    async deleteDirectory(prefix) {
+        const fullPath = this.getFullPath(prefix);
+
+        try {
+            await fs.access(fullPath);
+        } catch {
+            return false;
+        }
+
+        await fs.rm(fullPath, { recursive: true, force: true });
+        return true;
+    }
+
     async size(filePath) {
         const fullPath = this.getFullPath(filePath);
         const stats = await fs.stat(fullPath);
@@ -223,13 +485,23 @@ class LocalDriver {
     }
 
     url(filePath) {
-        return `${this.url}/${filePath}`;
+        return `${this.baseUrl}/${filePath}`;
     }
 
     async temporaryUrl(filePath, expiration = 3600) {
         // For local storage, return regular URL
         return this.url(filePath);
     }
+
+    async temporaryUploadUrl() {
+        // Local files can only be written through this service
+        return null;
+    }
+
+    async setVisibility() {
+        // Local files are only served through this service, which checks visibility itself
+        return true;
+    }
 }
 
 /**
@@ -239,7 +511,7 @@ class S3Driver {
     constructor(config) {
         this.bucket = config.bucket;
         this.region = config.region || 'us-east-1';
-        this.url = config.url;
+        this.baseUrl = config.url;
         this.client = new S3Client({
             region: this.region,
             credentials: config.credentials ? {
@@ -290,6 +562,35 @@ class S3Driver {
         return true;
     }
 
+    async readStream(filePath, { range } = {}) {
+        const command = new GetObjectCommand({
+            Bucket: this.bucket,
+            Key: filePath,
+            Range: range ? `bytes=${range.start}-${range.end ?? ''}` : undefined,
+        });
+
+        const response = await this.client.send(command);
+        return response.Body;
+    }
+
+    async writeStream(filePath, stream, options = {}) {
+        // Multipart upload, so the object size does not need to be known up front
+        const { Upload } = require('@aws-sdk/lib-storage');
+        const upload = new Upload({
+            client: this.client,
+            params: {
+                Bucket: this.bucket,
+                Key: filePath,
+                Body: stream,
+                ContentType: options.contentType,
+                ACL: options.acl || 'public-read',
+            },
+        });
+
+        await upload.done();
+        return true;
+    }
+
     async delete(filePath) {
         try {
             const command = new DeleteObjectCommand({
@@ -314,6 +615,69 @@ class S3Driver {
         return true;
     }
 
+    async list(prefix, { recursive, limit, cursor }) {
+        const response = await this.client.send(new ListObjectsV2Command({
+            Bucket: this.bucket,
+            Prefix: prefix || undefined,
+            Delimiter: recursive ? undefined : '/',
+            MaxKeys: limit,
+            ContinuationToken: cursor || undefined,
+        }));
+
+        // Keys ending in "/" are directory markers (see makeDirectory)
+        const objects = (response.Contents || []).filter((object) => object.Key !== prefix);
+        const files = objects.filter((object) => !object.Key.endsWith('/'));
+        const markers = objects.filter((object) => object.Key.endsWith('/')).map((object) => object.Key.slice(0, -1));
+        const directories = recursive
+            ? impliedDirectories(prefix, files.map((object) => object.Key))
+            : (response.CommonPrefixes || []).map((common) => common.Prefix.slice(0, -1));
+
+        return {
+            files: files.map((object) => ({
+                path: object.Key,
+                size: object.Size || 0,
+                lastModified: object.LastModified ? Math.floor(object.LastModified.getTime() / 1000) : 0,
+            })),
+            directories: [...new Set([...directories, ...markers])],
+            cursor: response.IsTruncated ? response.NextContinuationToken : null,
+        };
+    }
+
+    async makeDirectory(prefix) {
+        // Zero-byte marker, as the S3 console creates folders
+        await this.client.send(new PutObjectCommand({
+            Bucket: this.bucket,
+            Key: prefix,
+            Body: '',
+        }));
+        return true;
+    }
+
+    async deleteDirectory(prefix) {
+        let deleted = 0;
+        let response;
+
+        // Deleted keys drop out of the listing, so the first page is always the next batch
+        do {
+            response = await this.client.send(new ListObjectsV2Command({
+                Bucket: this.bucket,
+                Prefix: prefix,
+                MaxKeys: 1000,
+            }));
+
+            const objects = (response.Contents || []).map((object) => ({ Key: object.Key }));
+            if (objects.length > 0) {
+                await this.client.send(new DeleteObjectsCommand({
+                    Bucket: this.bucket,
+                    Delete: { Objects: objects, Quiet: true },
+                }));
+                deleted += objects.length;
+            }
+        } while (response.IsTruncated);
+
+        return deleted > 0;
+    }
+
     async size(filePath) {
         const command = new HeadObjectCommand({
             Bucket: this.bucket,
@@ -342,8 +706,8 @@ class S3Driver {
     }
 
     url(filePath) {
-        if (this.url) {
-            return `${this.url}/${filePath}`;
+        if (this.baseUrl) {
+            return `${this.baseUrl}/${filePath}`;
         }
         return `https://${this.bucket}.s3.${this.region}.amazonaws.com/${filePath}`;
     }
@@ -356,6 +720,33 @@ class S3Driver {
         });
         return await getSignedUrl(this.client, command, { expiresIn: expiration });
     }
+
+    async temporaryUploadUrl(filePath, { expiration = 3600, contentType, acl } = {}) {
+        const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+        const command = new PutObjectCommand({
+            Bucket: this.bucket,
+            Key: filePath,
+            ContentType: contentType,
+            ACL: acl || 'public-read',
+        });
+        // The ACL is signed into the query string; signing the content type makes
+        // the bucket refuse uploads sent with a different one
+        const url = await getSignedUrl(this.client, command, {
+            expiresIn: expiration,
+            signableHeaders: new Set(['content-type']),
+        });
+
+        return { method: 'PUT', url, headers: { 'Content-Type': contentType } };
+    }
+
+    async setVisibility(filePath, visibility) {
+        await this.client.send(new PutObjectAclCommand({
+            Bucket: this.bucket,
+            Key: filePath,
+            ACL: visibility === 'private' ? 'private' : 'public-read',
+        }));
+        return true;
+    }
 }
 
 /**
@@ -365,7 +756,7 @@ class AzureDriver {
     constructor(config) {
         this.containerName = config.container || 'files';
         this.connectionString = config.connectionString;
-        this.url = config.url;
+        this.baseUrl = config.url;
         this.client = BlobServiceClient.fromConnectionString(this.connectionString);
         this.containerClient = this.client.getContainerClient(this.containerName);
     }
@@ -405,6 +796,28 @@ class AzureDriver {
         return true;
     }
 
+    async readStream(filePath, { range } = {}) {
+        const blobClient = this.containerClient.getBlobClient(filePath);
+        const downloadResponse = range
+            ? await blobClient.download(range.start, range.end !== undefined ? range.end - range.start + 1 : undefined)
+            : await blobClient.download();
+
+        return downloadResponse.readableStreamBody;
+    }
+
+    async writeStream(filePath, stream, options = {}) {
+        const blockBlobClient = this.containerClient.getBlockBlobClient(filePath);
+
+        // 4 MB blocks, 4 in flight
+        await blockBlobClient.uploadStream(stream, 4 * 1024 * 1024, 4, {
+            blobHTTPHeaders: {
+                blobContentType: options.contentType,
+            },
+        });
+
+        return true;
+    }
+
     async delete(filePath) {
         try {
             const blobClient = this.containerClient.getBlobClient(filePath);
@@ -422,6 +835,49 @@ class AzureDriver {
         return true;
     }
 
+    async list(prefix, { recursive, limit, cursor }) {
+        const options = { prefix: prefix || undefined };
+        const pages = recursive
+            ? this.containerClient.listBlobsFlat(options)
+            : this.containerClient.listBlobsByHierarchy('/', options);
+        const { value: page } = await pages
+            .byPage({ continuationToken: cursor || undefined, maxPageSize: limit })
+            .next();
+
+        const blobs = page ? page.segment.blobItems : [];
+        const directories = recursive
+            ? impliedDirectories(prefix, blobs.map((blob) => blob.name))
+            : ((page && page.segment.blobPrefixes) || []).map((blobPrefix) => blobPrefix.name.slice(0, -1));
+
+        return {
+            files: blobs.map((blob) => ({
+                path: blob.name,
+                size: blob.properties.contentLength || 0,
+                lastModified: blob.properties.lastModified
+                    ? Math.floor(blob.properties.lastModified.getTime() / 1000)
+                    : 0,
+            })),
+            directories,
+            cursor: (page && page.continuationToken) || null,
+        };
+    }
+
+    async makeDirectory() {
+        // Blob names should not end in "/", so directories only exist through the blobs inside them
+        return true;
+    }
+
+    async deleteDirectory(prefix) {
+        let deleted = 0;
+
+        for await (const blob of this.containerClient.listBlobsFlat({ prefix })) {
+            await this.containerClient.deleteBlob(blob.name);
+            deleted += 1;
+        }
+
+        return deleted > 0;
+    }
+
     async size(filePath) {
         const blobClient = this.containerClient.getBlobClient(filePath);
         const properties = await blobClient.getProperties();
@@ -441,8 +897,8 @@ class AzureDriver {
     }
 
     url(filePath) {
-        if (this.url) {
-            return `${this.url}/${filePath}`;
+        if (this.baseUrl) {
+            return `${this.baseUrl}/${filePath}`;
         }
         const blobClient = this.containerClient.getBlobClient(filePath);
         return blobClient.url;
@@ -456,6 +912,27 @@ class AzureDriver {
         });
         return sasUrl;
     }
+
+    async temporaryUploadUrl(filePath, { expiration = 3600, contentType } = {}) {
+        const blobClient = this.containerClient.getBlobClient(filePath);
+        const url = await blobClient.generateSasUrl({
+            permissions: 'cw',
+            expiresOn: new Date(Date.now() + expiration * 1000),
+        });
+
+        // Access is set per container on Azure, so there is no ACL to send
+        return {
+            method: 'PUT',
+            url,
+            headers: { 'Content-Type': contentType, 'x-ms-blob-type': 'BlockBlob' },
+        };
+    }
+
+    async setVisibility() {
+        // Blobs have no ACL of their own: anonymous read access is set on the whole container,
+        // so private files need a container without public access
+        return true;
+    }
 }
 
 /**
@@ -466,7 +943,9 @@ class GCSDriver {
         this.bucketName = config.bucket;
         this.projectId = config.projectId;
         this.keyFilename = config.keyFilename;
-        this.url = config.url;
+        this.baseUrl = config.url;
+        // Buckets with uniform bucket-level access reject object ACLs; access is set on the bucket
+        this.uniformAccess = Boolean(config.uniformAccess);
         
         this.storage = new Storage({
             projectId: this.projectId,
@@ -494,10 +973,43 @@ class GCSDriver {
             metadata: {
                 contentType: options.contentType,
             },
+            ...this.predefinedAcl(options.acl),
         });
         return true;
     }
 
+    /**
+     * Upload option for an `acl`; none when no ACL was asked for or the bucket uses uniform access
+     */
+    predefinedAcl(acl) {
+        if (!acl || this.uniformAccess) {
+            return {};
+        }
+        return { predefinedAcl: acl === 'private' ? 'private' : 'publicRead' };
+    }
+
+    async readStream(filePath, { range } = {}) {
+        const file = this.bucket.file(filePath);
+
+        // Fetch metadata first so a missing object rejects instead of erroring on the stream
+        await file.getMetadata();
+
+        return file.createReadStream(range ? { start: range.start, end: range.end } : {});
+    }
+
+    async writeStream(filePath, stream, options = {}) {
+        const file = this.bucket.file(filePath);
+
+        await pipeline(stream, file.createWriteStream({
+            metadata: {
+                contentType: options.contentType,
+            },
+            ...this.predefinedAcl(options.acl),
+        }));
+
+        return true;
+    }
+
     async delete(filePath) {
         try {
             const file = this.bucket.file(filePath);
@@ -515,10 +1027,50 @@ class GCSDriver {
         return true;
     }
 
+    async list(prefix, { recursive, limit, cursor }) {
+        const [objects, nextQuery, response] = await this.bucket.getFiles({
+            prefix: prefix || undefined,
+            delimiter: recursive ? undefined : '/',
+            maxResults: limit,
+            pageToken: cursor || undefined,
+            autoPaginate: false,
+        });
+
+        // Names ending in "/" are folder markers (see makeDirectory)
+        const entries = objects.filter((file) => file.name !== prefix);
+        const files = entries.filter((file) => !file.name.endsWith('/'));
+        const markers = entries.filter((file) => file.name.endsWith('/')).map((file) => file.name.slice(0, -1));
+        const directories = recursive
+            ? impliedDirectories(prefix, files.map((file) => file.name))
+            : ((response && response.prefixes) || []).map((folder) => folder.slice(0, -1));
+
+        return {
+            files: files.map((file) => ({
+                path: file.name,
+                size: parseInt(file.metadata.size, 10) || 0,
+                lastModified: file.metadata.updated ? Math.floor(new Date(file.metadata.updated).getTime() / 1000) : 0,
+            })),
+            directories: [...new Set([...directories, ...markers])],
+            cursor: (nextQuery && nextQuery.pageToken) || null,
+        };
+    }
+
+    async makeDirectory(prefix) {
+        // Zero-byte marker, as the Cloud Console creates folders
+        await this.bucket.file(prefix).save('');
+        return true;
+    }
+
+    async deleteDirectory(prefix) {
+        const [objects] = await this.bucket.getFiles({ prefix });
+        await this.bucket.deleteFiles({ prefix });
+        return objects.length > 0;
+    }
+
     async size(filePath) {
         const file = this.bucket.file(filePath);
         const [metadata] = await file.getMetadata();
-        return parseInt(metadata.size) || 0;
+        return parseInt(metadata.size, 10) || 0;
     }
 
     async lastModified(filePath) {
@@ -535,8 +1087,8 @@ class GCSDriver {
     }
 
     url(filePath) {
-        if (this.url) {
-            return `${this.url}/${filePath}`;
+        if (this.baseUrl) {
+            return `${this.baseUrl}/${filePath}`;
         }
         return `https://storage.googleapis.com/${this.bucketName}/${filePath}`;
     }
@@ -549,6 +1101,31 @@ class GCSDriver {
         });
         return url;
     }
+
+    async temporaryUploadUrl(filePath, { expiration = 3600, contentType, acl } = {}) {
+        const file = this.bucket.file(filePath);
+        const headers = acl && !this.uniformAccess ? { 'x-goog-acl': acl } : {};
+        // The ACL header is signed, so the upload must send it unchanged
+        const [url] = await file.getSignedUrl({
+            version: 'v4',
+            action: 'write',
+            expires: Date.now() + expiration * 1000,
+            contentType,
+            extensionHeaders: headers,
+        });
+        return { method: 'PUT', url, headers: { 'Content-Type': contentType, ...headers } };
+    }
+
+    async setVisibility(filePath, visibility) {
+        if (this.uniformAccess) {
+            // As on Azure, private files need a bucket without public access
+            return true;
+        }
+
+        const file = this.bucket.file(filePath);
+        await (visibility === 'private' ? file.makePrivate() : file.makePublic());
+        return true;
+    }
 }
 
 module.exports = FilesystemAdapter;
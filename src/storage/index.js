@@ -26,6 +26,18 @@ module.exports = {
     mimeType: (path) => StorageManager.disk().mimeType(path),
     url: (path) => StorageManager.disk().url(path),
     temporaryUrl: (path, expiration) => StorageManager.disk().temporaryUrl(path, expiration),
+    temporaryUploadUrl: (path, options) => StorageManager.disk().temporaryUploadUrl(path, options),
+    readStream: (path, options) => StorageManager.disk().readStream(path, options),
+    writeStream: (path, stream, options) => StorageManager.disk().writeStream(path, stream, options),
+
+    // Directory operations
+    list: (directory, options) => StorageManager.disk().list(directory, options),
+    files: (directory, recursive) => StorageManager.disk().files(directory, recursive),
+    allFiles: (directory) => StorageManager.disk().allFiles(directory),
+    directories: (directory, recursive) => StorageManager.disk().directories(directory, recursive),
+    allDirectories: (directory) => StorageManager.disk().allDirectories(directory),
+    makeDirectory: (directory) => StorageManager.disk().makeDirectory(directory),
+    deleteDirectory: (directory) => StorageManager.disk().deleteDirectory(directory),
     
     // Access to manager
     manager: StorageManager,
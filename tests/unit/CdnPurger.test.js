@@ -0,0 +1,70 @@
+const { expect } = require('chai');
+const http = require('http');
+
+const CdnPurger = require('../../src/cdn/CdnPurger');
+
+describe('CdnPurger Unit Tests', () => {
+    describe('stub driver', () => {
+        it('should record purges without sending them', async () => {
+            const purger = new CdnPurger('stub');
+
+            await purger.purge({ paths: ['/api/image/abc*'], tags: ['image:abc'] });
+
+            expect(purger.client.purges).to.deep.equal([{ paths: ['/api/image/abc*'], tags: ['image:abc'] }]);
+        });
+
+        it('should skip empty purges', async () => {
+            const purger = new CdnPurger('stub');
+
+            expect(await purger.purge({})).to.be.true;
+            expect(purger.client.purges).to.be.empty;
+        });
+    });
+
+    describe('http driver', () => {
+        let server;
+        let requests;
+        let status;
+
+        beforeEach((done) => {
+            requests = [];
+            status = 200;
+            server = http.createServer((req, res) => {
+                requests.push({ method: req.method, url: req.url, tags: req.headers['cache-tag'] });
+                res.statusCode = status;
+                res.end();
+            }).listen(0, done);
+        });
+
+        afterEach((done) => {
+            server.close(done);
+        });
+
+        it('should send one request per path and one for all tags', async () => {
+            const purger = new CdnPurger('http', { url: `http://localhost:${server.address().port}/` });
+
+            await purger.purge({ paths: ['/api/image/abc*'], tags: ['image:abc', 'owner:42'] });
+
+            expect(requests).to.have.deep.members([
+                { method: 'PURGE', url: '/api/image/abc*', tags: undefined },
+                { method: 'PURGE', url: '/', tags: 'image:abc,owner:42' },
+            ]);
+        });
+
+        it('should fail when the upstream rejects the purge', async () => {
+            const purger = new CdnPurger('http', { url: `http://localhost:${server.address().port}` });
+            status = 403;
+
+            try {
+                await purger.purge({ paths: ['/api/image/abc*'] });
+                expect.fail('Should have thrown');
+            } catch (error) {
+                expect(error.message).to.include('status 403');
+            }
+        });
+    });
+
+    it('should reject unknown drivers', () => {
+        expect(() => new CdnPurger('varnish')).to.throw('Unsupported purge driver');
+    });
+});
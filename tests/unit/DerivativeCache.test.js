@@ -0,0 +1,77 @@
+const { expect } = require('chai');
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+
+const DerivativeCache = require('../../src/cache/DerivativeCache');
+
+describe('DerivativeCache Unit Tests', () => {
+    describe('local driver', () => {
+        let directory;
+
+        beforeEach(async () => {
+            directory = await fs.mkdtemp(path.join(os.tmpdir(), 'cdn-cache-'));
+        });
+
+        afterEach(async () => {
+            await fs.rm(directory, { recursive: true, force: true });
+        });
+
+        const exists = async (key) => fs.access(path.join(directory, key)).then(() => true, () => false);
+
+        it('should evict the least recently used variants once over the byte budget', async () => {
+            const cache = new DerivativeCache('local', { directory, maxBytes: 10 });
+
+            await cache.put('a/1', Buffer.alloc(4));
+            await cache.put('b/1', Buffer.alloc(4));
+            await cache.get('a/1');
+            await cache.put('c/1', Buffer.alloc(4));
+
+            expect(await exists('a/1')).to.be.true;
+            expect(await exists('b/1')).to.be.false;
+            expect(await exists('c/1')).to.be.true;
+            expect(cache.client.totalBytes).to.equal(8);
+        });
+
+        it('should keep the least recently used order across restarts', async () => {
+            const first = new DerivativeCache('local', { directory });
+            await first.put('a/1', Buffer.alloc(4));
+            await first.put('b/1', Buffer.alloc(4));
+            const past = new Date(Date.now() - 60000);
+            await fs.utimes(path.join(directory, 'a/1'), past, past);
+
+            const second = new DerivativeCache('local', { directory, maxBytes: 4 });
+            await second.client.ready;
+
+            expect(await exists('a/1')).to.be.false;
+            expect(await exists('b/1')).to.be.true;
+        });
+
+        it('should count hits and misses', async () => {
+            const cache = new DerivativeCache('local', { directory });
+
+            await cache.get('a/1');
+            await cache.put('a/1', Buffer.from('variant'));
+            await cache.get('a/1');
+            await cache.get('a/1');
+            await cache.delete('a/1');
+            await cache.get('a/1');
+
+            expect(cache.stats()).to.deep.equal({ driver: 'local', hits: 2, misses: 2 });
+        });
+    });
+
+    describe('disk driver', () => {
+        it('should write variants as private objects below the prefix', async () => {
+            const cache = new DerivativeCache('disk', { prefix: 'variants' });
+            const written = [];
+            cache.client.disk = { put: async (...args) => written.push(args) };
+
+            await cache.put('img-1/300x300_webp', Buffer.from('v'), { contentType: 'image/webp' });
+
+            expect(written).to.have.length(1);
+            expect(written[0][0]).to.equal('variants/img-1/300x300_webp');
+            expect(written[0][2]).to.deep.equal({ contentType: 'image/webp', acl: 'private' });
+        });
+    });
+});
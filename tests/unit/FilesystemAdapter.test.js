@@ -0,0 +1,184 @@
+const { expect } = require('chai');
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+
+const FilesystemAdapter = require('../../src/storage/FilesystemAdapter');
+
+describe('FilesystemAdapter Unit Tests', () => {
+    let root;
+    let disk;
+
+    beforeEach(async () => {
+        root = await fs.mkdtemp(path.join(os.tmpdir(), 'cdn-storage-'));
+        disk = new FilesystemAdapter('local', { root });
+
+        await disk.put('images/a.jpg', Buffer.from('a'));
+        await disk.put('images/2026/b.jpg', Buffer.from('bb'));
+        await disk.put('files/c.pdf', Buffer.from('ccc'));
+    });
+
+    afterEach(async () => {
+        await fs.rm(root, { recursive: true, force: true });
+    });
+
+    describe('#list', () => {
+        it('should list files and directories of a single directory', async () => {
+            const page = await disk.list('images');
+
+            expect(page.files.map((file) => file.path)).to.deep.equal(['images/a.jpg']);
+            expect(page.files[0].size).to.equal(1);
+            expect(page.directories).to.deep.equal(['images/2026']);
+            expect(page.cursor).to.be.null;
+        });
+
+        it('should page through a recursive listing with cursors', async () => {
+            const paths = [];
+            let cursor = null;
+
+            do {
+                const page = await disk.list('', { recursive: true, limit: 2, cursor });
+                paths.push(...page.files.map((file) => file.path), ...page.directories);
+                ({ cursor } = page);
+            } while (cursor);
+
+            expect(paths.sort()).to.deep.equal([
+                'files', 'files/c.pdf', 'images', 'images/2026', 'images/2026/b.jpg', 'images/a.jpg'
+            ]);
+        });
+
+        it('should page in depth-first order, one entry at a time', async () => {
+            await disk.put('images-old/d.jpg', Buffer.from('d'));
+            const paths = [];
+            let cursor = null;
+
+            do {
+                const page = await disk.list('', { recursive: true, limit: 1, cursor });
+                paths.push(...page.directories, ...page.files.map((file) => file.path));
+                ({ cursor } = page);
+            } while (cursor);
+
+            expect(paths).to.deep.equal([
+                'files', 'files/c.pdf', 'images', 'images/2026', 'images/2026/b.jpg', 'images/a.jpg',
+                'images-old', 'images-old/d.jpg'
+            ]);
+        });
+
+        it('should reject directories that leave the disk root', async () => {
+            try {
+                await disk.list('images/../../etc');
+                expect.fail('Should have thrown');
+            } catch (error) {
+                expect(error.status).to.equal(400);
+            }
+        });
+    });
+
+    describe('directory operations', () => {
+        it('should collect files and directories across pages', async () => {
+            expect(await disk.allFiles('images')).to.deep.equal(['images/2026/b.jpg', 'images/a.jpg']);
+            expect(await disk.directories()).to.deep.equal(['files', 'images']);
+            expect(await disk.allDirectories()).to.deep.equal(['files', 'images', 'images/2026']);
+        });
+
+        it('should create and recursively delete directories', async () => {
+            await disk.makeDirectory('exports/2026');
+            expect(await disk.directories('exports')).to.deep.equal(['exports/2026']);
+
+            expect(await disk.deleteDirectory('images')).to.be.true;
+            expect(await disk.allFiles()).to.deep.equal(['files/c.pdf']);
+        });
+    });
+
+    describe('#readStream', () => {
+        it('should read a byte range', async () => {
+            const chunks = [];
+            for await (const chunk of await disk.readStream('files/c.pdf', { range: { start: 1, end: 1 } })) {
+                chunks.push(chunk);
+            }
+
+            expect(Buffer.concat(chunks).toString()).to.equal('c');
+        });
+    });
+
+    describe('#temporaryUploadUrl', () => {
+        it('should leave local uploads to the service', async () => {
+            expect(await disk.temporaryUploadUrl('images/d.jpg', { contentType: 'image/jpeg' })).to.be.null;
+        });
+
+        it('should presign an S3 PUT with the content type and ACL', async () => {
+            const s3 = new FilesystemAdapter('s3', {
+                bucket: 'media',
+                region: 'eu-west-1',
+                credentials: { key: 'AKIDEXAMPLE', secret: 'secret' },
+            });
+
+            const target = await s3.temporaryUploadUrl('images/d.jpg', {
+                expiration: 600, contentType: 'image/jpeg', acl: 'private',
+            });
+            const url = new URL(target.url);
+
+            expect(target.method).to.equal('PUT');
+            expect(target.headers).to.deep.equal({ 'Content-Type': 'image/jpeg' });
+            expect(url.pathname).to.equal('/images/d.jpg');
+            expect(url.searchParams.get('X-Amz-Expires')).to.equal('600');
+            expect(url.searchParams.get('x-amz-acl')).to.equal('private');
+            expect(url.searchParams.get('X-Amz-SignedHeaders')).to.include('content-type');
+        });
+
+        it('should create a write-only SAS URL for Azure', async () => {
+            const azure = new FilesystemAdapter('azure', {
+                container: 'media',
+                connectionString: 'DefaultEndpointsProtocol=https;AccountName=devstoreaccount1;'
+                    + 'AccountKey=Eby8vdM02xNOcqFlqUwJPLlmEtlCDXJ1OUzFT50uSRZ6IFsuFq2UVErCz4I6tq/'
+                    + 'K1SZFPTOtr/KBHBeksoGMGw==;'
+                    + 'EndpointSuffix=core.windows.net',
+            });
+
+            const target = await azure.temporaryUploadUrl('images/d.jpg', { contentType: 'image/jpeg' });
+            const url = new URL(target.url);
+
+            expect(target.headers['x-ms-blob-type']).to.equal('BlockBlob');
+            expect(url.pathname).to.equal('/media/images/d.jpg');
+            expect(url.searchParams.get('sp')).to.equal('cw');
+        });
+    });
+
+    describe('#setVisibility', () => {
+        it('should change the ACL of an S3 object without rewriting it', async () => {
+            const s3 = new FilesystemAdapter('s3', { bucket: 'media', credentials: { key: 'k', secret: 's' } });
+            const sent = [];
+            s3.client.client.send = async (command) => sent.push(command);
+
+            await s3.setVisibility('images/d.jpg', 'private');
+            await s3.setVisibility('images/d.jpg', 'public');
+
+            expect(sent).to.have.length(2);
+            expect(sent[0].constructor.name).to.equal('PutObjectAclCommand');
+            expect(sent[0].input).to.deep.equal({ Bucket: 'media', Key: 'images/d.jpg', ACL: 'private' });
+            expect(sent[1].input.ACL).to.equal('public-read');
+        });
+
+        it('should only send GCS ACLs that were asked for, and none on uniform access buckets', async () => {
+            const gcs = new FilesystemAdapter('gcs', { bucket: 'media', projectId: 'p' });
+            const saved = [];
+            const calls = [];
+            gcs.client.bucket.file = () => ({
+                save: async (contents, options) => saved.push(options),
+                makePrivate: async () => calls.push('private'),
+            });
+
+            await gcs.put('images/d.jpg', Buffer.from('d'));
+            await gcs.put('images/d.jpg', Buffer.from('d'), { acl: 'private' });
+            await gcs.setVisibility('images/d.jpg', 'private');
+
+            gcs.client.uniformAccess = true;
+            await gcs.put('images/d.jpg', Buffer.from('d'), { acl: 'private' });
+            await gcs.setVisibility('images/d.jpg', 'private');
+
+            expect(saved.map((options) => options.predefinedAcl)).to.deep.equal([undefined, 'private', undefined]);
+            expect(saved[0]).not.to.have.property('predefinedAcl');
+            expect(calls).to.deep.equal(['private']);
+        });
+    });
+});
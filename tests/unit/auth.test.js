@@ -0,0 +1,53 @@
+const { expect } = require('chai');
+
+const authService = require('../../src/services/authService');
+const { authenticate, optionalAuth } = require('../../src/middleware/auth');
+
+describe('Auth Middleware Unit Tests', () => {
+    const request = (token) => ({ headers: { authorization: `Bearer ${token}` } });
+    const response = () => ({
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        },
+    });
+
+    describe('#authenticate', () => {
+        it('should accept login tokens', () => {
+            const req = request(authService.generateToken({ id: 'u1' }));
+            let called = false;
+
+            authenticate(req, response(), () => { called = true; });
+
+            expect(called).to.be.true;
+            expect(req.userId).to.equal('u1');
+        });
+
+        it('should reject image access tokens', () => {
+            const res = response();
+            let called = false;
+
+            authenticate(request(authService.generateImageAccessToken('abc', 60)), res, () => { called = true; });
+
+            expect(called).to.be.false;
+            expect(res.statusCode).to.equal(401);
+        });
+    });
+
+    describe('#optionalAuth', () => {
+        it('should treat image access tokens as anonymous', () => {
+            const req = request(authService.generateImageAccessToken('abc', 60));
+            let called = false;
+
+            optionalAuth(req, response(), () => { called = true; });
+
+            expect(called).to.be.true;
+            expect(req.user).to.be.undefined;
+            expect(req.userId).to.be.undefined;
+        });
+    });
+});
@@ -0,0 +1,89 @@
+const { expect } = require('chai');
+
+const authService = require('../../src/services/authService');
+
+describe('AuthService Unit Tests', () => {
+    describe('#signImageUrl', () => {
+        it('should sort parameters and append the signature', () => {
+            const url = authService.signImageUrl('/api/image/abc', { w: 400, fm: 'webp' });
+
+            expect(url).to.match(/^\/api\/image\/abc\?fm=webp&w=400&s=[A-Za-z0-9_-]{43}$/);
+        });
+
+        it('should sign paths without parameters', () => {
+            const url = authService.signImageUrl('/api/image/abc/100x100/webp');
+
+            expect(url).to.match(/^\/api\/image\/abc\/100x100\/webp\?s=[A-Za-z0-9_-]{43}$/);
+        });
+    });
+
+    describe('#verifyImageSignature', () => {
+        const parse = (url) => {
+            const [urlPath, query] = url.split('?');
+            return [urlPath, Object.fromEntries(new URLSearchParams(query))];
+        };
+
+        it('should accept a URL it signed', () => {
+            const [urlPath, query] = parse(authService.signImageUrl('/api/image/abc', { w: 400 }, 60));
+
+            expect(authService.verifyImageSignature(urlPath, query)).to.be.true;
+        });
+
+        it('should reject tampered parameters', () => {
+            const [urlPath, query] = parse(authService.signImageUrl('/api/image/abc', { w: 400 }));
+
+            expect(() => authService.verifyImageSignature(urlPath, { ...query, w: '4000' }))
+                .to.throw('Invalid signature')
+                .with.property('status', 403);
+        });
+
+        it('should reject a signature for another path', () => {
+            const [, query] = parse(authService.signImageUrl('/api/image/abc', { w: 400 }));
+
+            expect(() => authService.verifyImageSignature('/api/image/def', query))
+                .to.throw('Invalid signature');
+        });
+
+        it('should reject expired signatures', () => {
+            const [urlPath, query] = parse(authService.signImageUrl('/api/image/abc', { w: 400 }, -10));
+
+            expect(() => authService.verifyImageSignature(urlPath, query))
+                .to.throw('Signature has expired');
+        });
+
+        it('should reject a missing signature', () => {
+            expect(() => authService.verifyImageSignature('/api/image/abc', { w: '400' }))
+                .to.throw('Invalid signature');
+        });
+    });
+
+    describe('#verifyImageAccessToken', () => {
+        it('should accept a token for the image it was issued for', () => {
+            const token = authService.generateImageAccessToken('abc', 60);
+
+            expect(authService.verifyImageAccessToken(token, 'abc')).to.be.true;
+        });
+
+        it('should reject a token issued for another image', () => {
+            const token = authService.generateImageAccessToken('abc', 60);
+
+            expect(authService.verifyImageAccessToken(token, 'def')).to.be.false;
+        });
+
+        it('should reject regular user tokens', () => {
+            const token = authService.generateToken({ id: 'u1', imageId: 'abc' });
+
+            expect(authService.verifyImageAccessToken(token, 'abc')).to.be.false;
+        });
+
+        it('should reject malformed tokens', () => {
+            expect(authService.verifyImageAccessToken('not-a-token', 'abc')).to.be.false;
+        });
+
+        it('should not be accepted as a login token', () => {
+            const token = authService.generateImageAccessToken('abc', 60);
+
+            expect(() => authService.verifyToken(token)).to.throw('jwt audience invalid');
+        });
+    });
+});
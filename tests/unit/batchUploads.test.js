@@ -0,0 +1,104 @@
+const { expect } = require('chai');
+
+const batchUploads = require('../../src/services/batchUploads');
+
+describe('BatchUploads Unit Tests', () => {
+    const rejection = (status, message) => {
+        const error = new Error(message);
+        error.status = status;
+        return error;
+    };
+
+    const files = [
+        { index: 0, originalname: 'a.jpg' },
+        { index: 1, originalname: 'notes.txt' },
+        { index: 2, originalname: 'b.png' },
+    ];
+
+    let stored;
+    let rolledBack;
+
+    // Stores images, refuses the text file the way fileTypes.inspect does
+    const store = async (file) => {
+        if (file.originalname.endsWith('.txt')) {
+            throw rejection(415, 'Only image files are allowed');
+        }
+        const image = { id: `img-${file.index}`, originalName: file.originalname };
+        stored.push(image.id);
+        return image;
+    };
+
+    const rollback = async (image) => {
+        rolledBack.push(image.id);
+    };
+
+    beforeEach(() => {
+        stored = [];
+        rolledBack = [];
+    });
+
+    it('should report a result for every file in request order', async () => {
+        const batch = await batchUploads.storeAll(files, store, { rollback });
+
+        expect(batch.uploaded).to.equal(2);
+        expect(batch.failed).to.equal(1);
+        expect(batch.rolledBack).to.be.false;
+        expect(batch.results.map((result) => [result.index, result.success])).to.deep.equal([
+            [0, true], [1, false], [2, true],
+        ]);
+        expect(batch.results[0].image).to.deep.equal({ id: 'img-0', originalName: 'a.jpg' });
+        expect(batch.results[1]).to.deep.equal({
+            index: 1, originalName: 'notes.txt', success: false, status: 415, error: 'Only image files are allowed',
+        });
+        expect(rolledBack).to.deep.equal([]);
+    });
+
+    it('should keep going after a file fails', async () => {
+        await batchUploads.storeAll([files[1], files[0]], store, { rollback });
+
+        expect(stored).to.deep.equal(['img-0']);
+    });
+
+    it('should report unexpected errors as 500', async () => {
+        const originalError = console.error;
+        console.error = () => {};
+
+        try {
+            const batch = await batchUploads.storeAll([files[0]], async () => {
+                throw new Error('disk unavailable');
+            });
+
+            expect(batch.results[0]).to.include({ success: false, status: 500, error: 'disk unavailable' });
+        } finally {
+            console.error = originalError;
+        }
+    });
+
+    it('should roll back every stored file in atomic mode when one fails', async () => {
+        const batch = await batchUploads.storeAll(files, store, { atomic: true, rollback });
+
+        expect(rolledBack).to.deep.equal(['img-0', 'img-2']);
+        expect(batch.rolledBack).to.be.true;
+        expect(batch.uploaded).to.equal(0);
+        expect(batch.failed).to.equal(1);
+        expect(batch.results).to.deep.equal([
+            {
+                index: 0, originalName: 'a.jpg', success: false, rolledBack: true,
+            },
+            {
+                index: 1, originalName: 'notes.txt', success: false, status: 415, error: 'Only image files are allowed',
+            },
+            {
+                index: 2, originalName: 'b.png', success: false, rolledBack: true,
+            },
+        ]);
+    });
+
+    it('should keep the files of an atomic batch without failures', async () => {
+        const batch = await batchUploads.storeAll([files[0], files[2]], store, { atomic: true, rollback });
+
+        expect(batch.rolledBack).to.be.false;
+        expect(batch.uploaded).to.equal(2);
+        expect(rolledBack).to.deep.equal([]);
+    });
+});
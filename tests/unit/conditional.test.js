@@ -0,0 +1,146 @@
+const { expect } = require('chai');
+const express = require('express');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const { Readable } = require('stream');
+
+const FilesystemAdapter = require('../../src/storage/FilesystemAdapter');
+const {
+    contentHash, streamHash, setValidators, sendStream,
+} = require('../../src/middleware/conditional');
+
+describe('Conditional GET Unit Tests', () => {
+    const contents = Buffer.from('0123456789');
+    const etag = contentHash(contents);
+    const lastModified = new Date('2026-03-05T10:00:00Z');
+
+    let root;
+    let server;
+
+    const send = (method, headers = {}) => new Promise((resolve, reject) => {
+        const req = http.request({
+            port: server.address().port, method, path: '/file', headers, agent: false,
+        }, (res) => {
+            const chunks = [];
+            res.on('data', (chunk) => chunks.push(chunk));
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+        });
+        req.on('error', reject);
+        req.end();
+    });
+
+    beforeEach(async () => {
+        root = await fs.mkdtemp(path.join(os.tmpdir(), 'cdn-conditional-'));
+        const disk = new FilesystemAdapter('local', { root });
+        await disk.put('images/a.jpg', contents);
+
+        const app = express();
+        app.get('/file', async (req, res) => {
+            setValidators(res, etag, lastModified);
+            await sendStream(req, res, disk, 'images/a.jpg');
+        });
+
+        await new Promise((resolve) => {
+            server = app.listen(0, resolve);
+        });
+    });
+
+    afterEach(async () => {
+        await new Promise((resolve) => {
+            server.close(resolve);
+        });
+        await fs.rm(root, { recursive: true, force: true });
+    });
+
+    describe('#streamHash', () => {
+        it('should match the hash of the buffered content', async () => {
+            const stream = Readable.from([contents.subarray(0, 3), contents.subarray(3)]);
+
+            expect(await streamHash(stream)).to.equal(etag);
+        });
+    });
+
+    describe('#sendStream', () => {
+        it('should send the whole file with its validators', async () => {
+            const response = await send('GET');
+
+            expect(response.status).to.equal(200);
+            expect(response.body.toString()).to.equal('0123456789');
+            expect(response.headers.etag).to.equal(`"${etag}"`);
+            expect(response.headers['last-modified']).to.equal(lastModified.toUTCString());
+            expect(response.headers['accept-ranges']).to.equal('bytes');
+            expect(response.headers['content-length']).to.equal('10');
+        });
+
+        it('should answer 304 to a matching If-None-Match', async () => {
+            const response = await send('GET', { 'If-None-Match': `"${etag}"` });
+
+            expect(response.status).to.equal(304);
+            expect(response.body).to.have.length(0);
+        });
+
+        it('should send the file when If-None-Match does not match', async () => {
+            const response = await send('GET', { 'If-None-Match': '"other"' });
+
+            expect(response.status).to.equal(200);
+        });
+
+        it('should answer 304 to If-Modified-Since unless the file changed after it', async () => {
+            const fresh = await send('GET', { 'If-Modified-Since': lastModified.toUTCString() });
+            const stale = await send('GET', { 'If-Modified-Since': new Date('2026-03-01T00:00:00Z').toUTCString() });
+
+            expect(fresh.status).to.equal(304);
+            expect(stale.status).to.equal(200);
+        });
+
+        it('should send a single byte range with 206', async () => {
+            const response = await send('GET', { Range: 'bytes=2-5' });
+
+            expect(response.status).to.equal(206);
+            expect(response.body.toString()).to.equal('2345');
+            expect(response.headers['content-range']).to.equal('bytes 2-5/10');
+            expect(response.headers['content-length']).to.equal('4');
+        });
+
+        it('should send a suffix range from the end of the file', async () => {
+            const response = await send('GET', { Range: 'bytes=-3' });
+
+            expect(response.status).to.equal(206);
+            expect(response.body.toString()).to.equal('789');
+        });
+
+        it('should answer 416 to a range past the end', async () => {
+            const response = await send('GET', { Range: 'bytes=20-30' });
+
+            expect(response.status).to.equal(416);
+            expect(response.headers['content-range']).to.equal('bytes */10');
+        });
+
+        it('should honour a range only while If-Range still matches', async () => {
+            const current = await send('GET', { Range: 'bytes=0-1', 'If-Range': `"${etag}"` });
+            const changed = await send('GET', { Range: 'bytes=0-1', 'If-Range': '"previous"' });
+
+            expect(current.status).to.equal(206);
+            expect(current.body.toString()).to.equal('01');
+            expect(changed.status).to.equal(200);
+            expect(changed.body.toString()).to.equal('0123456789');
+        });
+
+        it('should send the whole file for multiple ranges', async () => {
+            const response = await send('GET', { Range: 'bytes=0-1,5-6' });
+
+            expect(response.status).to.equal(200);
+            expect(response.body.toString()).to.equal('0123456789');
+        });
+
+        it('should answer HEAD with the length of the range and no body', async () => {
+            const response = await send('HEAD', { Range: 'bytes=4-' });
+
+            expect(response.status).to.equal(206);
+            expect(response.headers['content-length']).to.equal('6');
+            expect(response.body).to.have.length(0);
+        });
+    });
+});
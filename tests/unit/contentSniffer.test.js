@@ -0,0 +1,75 @@
+const { expect } = require('chai');
+const sharp = require('sharp');
+
+const contentSniffer = require('../../src/services/contentSniffer');
+
+describe('ContentSniffer Unit Tests', () => {
+    describe('#detect', () => {
+        it('should detect images from their magic bytes', async () => {
+            const image = sharp({ create: { width: 4, height: 4, channels: 3, background: '#000000' } });
+
+            expect(contentSniffer.detect(await image.clone().jpeg().toBuffer())).to.equal('image/jpeg');
+            expect(contentSniffer.detect(await image.clone().png().toBuffer())).to.equal('image/png');
+            expect(contentSniffer.detect(await image.clone().webp().toBuffer())).to.equal('image/webp');
+            expect(contentSniffer.detect(await image.clone().avif().toBuffer())).to.equal('image/avif');
+        });
+
+        it('should detect documents, media and fonts', () => {
+            expect(contentSniffer.detect(Buffer.from('%PDF-1.7\n'))).to.equal('application/pdf');
+            expect(contentSniffer.detect(Buffer.from('wOF2\u0000\u0001'))).to.equal('font/woff2');
+            expect(contentSniffer.detect(Buffer.from('\u0000\u0000\u0000\u0018ftypmp42', 'latin1')))
+                .to.equal('video/mp4');
+            expect(contentSniffer.detect(Buffer.from([0xFF, 0xFB, 0x90, 0x64]))).to.equal('audio/mpeg');
+            expect(contentSniffer.detect(Buffer.from([0xFF, 0xE1, 0x90, 0x64]))).to.be.null;
+        });
+
+        it('should detect SVG, JSON and plain text', () => {
+            expect(contentSniffer.detect(Buffer.from('<?xml version="1.0"?>\n<svg xmlns="http://www.w3.org/2000/svg"/>')))
+                .to.equal('image/svg+xml');
+            expect(contentSniffer.detect(Buffer.from('{"name":"app"}'))).to.equal('application/json');
+            expect(contentSniffer.detect(Buffer.from('hello, world'))).to.equal('text/plain');
+        });
+
+        it('should detect text from the head of a larger file', () => {
+            // Cut inside the two-byte "ü" and inside the JSON document
+            const head = Buffer.from('[{"name":"ü"}]').subarray(0, 11);
+
+            expect(contentSniffer.detect(head)).to.be.null;
+            expect(contentSniffer.detect(head, { partial: true })).to.equal('application/json');
+            expect(contentSniffer.detect(Buffer.from('hello, wo'), { partial: true })).to.equal('text/plain');
+        });
+
+        it('should return null for unknown binary content', () => {
+            expect(contentSniffer.detect(Buffer.from([0x00, 0x13, 0x37, 0x00, 0x02]))).to.be.null;
+            expect(contentSniffer.detect(Buffer.alloc(0))).to.be.null;
+        });
+    });
+
+    describe('#resolve', () => {
+        it('should use the detected type for generic claims', () => {
+            expect(contentSniffer.resolve('application/octet-stream', 'application/pdf')).to.equal('application/pdf');
+            expect(contentSniffer.resolve('image/jpg', 'image/jpeg')).to.equal('image/jpeg');
+        });
+
+        it('should keep more specific claims the content supports', () => {
+            expect(contentSniffer.resolve('application/manifest+json', 'application/json'))
+                .to.equal('application/manifest+json');
+            expect(contentSniffer.resolve('audio/mp4', 'video/mp4')).to.equal('audio/mp4');
+            expect(contentSniffer.resolve('text/csv', 'text/plain')).to.equal('text/csv');
+        });
+
+        it('should reject claims that contradict the content', () => {
+            expect(contentSniffer.resolve('image/jpeg', 'application/pdf')).to.be.null;
+            expect(contentSniffer.resolve('image/png', 'image/jpeg')).to.be.null;
+            expect(contentSniffer.resolve('text/html', 'text/plain')).to.be.null;
+        });
+    });
+
+    describe('#extensionFor', () => {
+        it('should map detected types to extensions', () => {
+            expect(contentSniffer.extensionFor('image/jpeg')).to.equal('.jpg');
+            expect(contentSniffer.extensionFor('image/svg+xml')).to.equal('.svg');
+            expect(contentSniffer.extensionFor('application/x-unknown')).to.be.null;
+        });
+    });
+});
@@ -0,0 +1,61 @@
+const { expect } = require('chai');
+
+const config = require('../../src/config');
+const fileTypes = require('../../src/services/fileTypes');
+
+describe('FileTypes Unit Tests', () => {
+    const original = config.files;
+
+    beforeEach(() => {
+        config.files = {
+            maxSize: 1000,
+            types: {
+                'image/*': 500,
+                'image/svg+xml': 100,
+                'application/pdf': 5000,
+            },
+        };
+    });
+
+    afterEach(() => {
+        config.files = original;
+    });
+
+    describe('#limitFor', () => {
+        it('should prefer exact types over wildcards', () => {
+            expect(fileTypes.limitFor('image/svg+xml')).to.equal(100);
+            expect(fileTypes.limitFor('image/png')).to.equal(500);
+        });
+
+        it('should cap limits at the global maximum', () => {
+            expect(fileTypes.limitFor('application/pdf')).to.equal(1000);
+        });
+
+        it('should ignore case and parameters', () => {
+            expect(fileTypes.limitFor('Image/PNG; charset=binary')).to.equal(500);
+        });
+
+        it('should return null for types that are not allowed', () => {
+            expect(fileTypes.limitFor('application/x-msdownload')).to.be.null;
+            expect(fileTypes.isAllowed('video/mp4')).to.be.false;
+        });
+    });
+
+    describe('#check', () => {
+        it('should reject unknown types with status 415', () => {
+            expect(() => fileTypes.check({ mimetype: 'video/mp4', size: 1 }))
+                .to.throw('not allowed')
+                .with.property('status', 415);
+        });
+
+        it('should reject oversized files with status 413', () => {
+            expect(() => fileTypes.check({ mimetype: 'image/svg+xml', size: 101 }))
+                .to.throw('limit')
+                .with.property('status', 413);
+        });
+
+        it('should accept files within the limit', () => {
+            expect(fileTypes.check({ mimetype: 'image/png', size: 500 })).to.be.true;
+        });
+    });
+});
@@ -0,0 +1,94 @@
+const { expect } = require('chai');
+
+const imageCatalog = require('../../src/services/imageCatalog');
+
+describe('ImageCatalog Unit Tests', () => {
+    const cursorFor = (sort, order) => Buffer
+        .from(JSON.stringify([sort, order, '2026-01-01 00:00:00.123456+00', 'id-1']))
+        .toString('base64url');
+
+    const parseError = (query) => {
+        try {
+            imageCatalog.parseListQuery(query);
+        } catch (error) {
+            return error;
+        }
+        return null;
+    };
+
+    describe('#parseListQuery', () => {
+        it('should apply the default page parameters', () => {
+            const { filters, page } = imageCatalog.parseListQuery({});
+
+            expect(filters).to.deep.equal({});
+            expect(page).to.deep.equal({
+                sort: 'createdAt', order: 'desc', limit: 50, cursor: undefined,
+            });
+        });
+
+        it('should normalize filters and drop unknown parameters', () => {
+            const { filters, page } = imageCatalog.parseListQuery({
+                owner: 'u1',
+                disk: 's3',
+                type: 'IMAGE/PNG',
+                tag: 'Summer',
+                uploadedAfter: '2026-01-01T00:00:00Z',
+                sort: 'size',
+                order: 'ASC',
+                limit: '10',
+                page: '3',
+            });
+
+            expect(filters).to.include({
+                owner: 'u1', disk: 's3', type: 'image/png', tag: 'summer',
+            });
+            expect(filters.uploadedAfter).to.be.an.instanceOf(Date);
+            expect(filters.uploadedAfter.toISOString()).to.equal('2026-01-01T00:00:00.000Z');
+            expect(filters).to.not.have.property('page');
+            expect(page).to.include({ sort: 'size', order: 'asc', limit: 10 });
+        });
+
+        it('should reject invalid parameters with status 400', () => {
+            [
+                { sort: 'name' },
+                { order: 'sideways' },
+                { limit: '0' },
+                { limit: '201' },
+                { type: 'image/../png' },
+                { tag: '-bad' },
+                { uploadedBefore: 'yesterday' },
+            ].forEach((query) => {
+                const error = parseError(query);
+                expect(error, JSON.stringify(query)).to.be.an.instanceOf(Error);
+                expect(error.status).to.equal(400);
+            });
+        });
+
+        it('should reject cursors that are not issued by list()', () => {
+            ['not-a-cursor', Buffer.from('[1,2]').toString('base64url')].forEach((cursor) => {
+                const error = parseError({ cursor });
+                expect(error.status).to.equal(400);
+                expect(error.message).to.equal('"cursor" is invalid');
+            });
+        });
+
+        it('should accept a cursor with the sort and order it was issued for', () => {
+            const cursor = cursorFor('size', 'asc');
+            const { page } = imageCatalog.parseListQuery({ sort: 'size', order: 'asc', cursor });
+
+            expect(page.cursor).to.equal(cursor);
+        });
+
+        it('should reject a cursor reused with another sort or order', () => {
+            const cursor = cursorFor('createdAt', 'desc');
+
+            expect(parseError({ cursor })).to.equal(null);
+
+            [{ sort: 'size' }, { order: 'asc' }, { sort: 'updatedAt', order: 'asc' }].forEach((query) => {
+                const error = parseError({ ...query, cursor });
+                expect(error.status).to.equal(400);
+                expect(error.message).to.include('sort=createdAt and order=desc');
+            });
+        });
+    });
+});
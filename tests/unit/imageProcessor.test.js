@@ -0,0 +1,125 @@
+const { expect } = require('chai');
+
+const imageProcessor = require('../../src/services/imageProcessor');
+
+describe('ImageProcessor Unit Tests', () => {
+    describe('#parseTransform', () => {
+        it('should apply defaults when only a width is given', () => {
+            const options = imageProcessor.parseTransform({ w: '400' });
+
+            expect(options).to.deep.equal({
+                width: 400,
+                height: undefined,
+                fit: 'inside',
+                crop: 'center',
+                quality: 85,
+                format: 'jpeg',
+                effort: undefined,
+                lossless: undefined,
+                chromaSubsampling: undefined
+            });
+        });
+
+        it('should scale the requested box by the device pixel ratio', () => {
+            const options = imageProcessor.parseTransform({ w: '400', h: '300', dpr: '2' });
+
+            expect(options.width).to.equal(800);
+            expect(options.height).to.equal(600);
+        });
+
+        it('should normalize jpg to jpeg', () => {
+            const options = imageProcessor.parseTransform({ fm: 'JPG' });
+
+            expect(options.format).to.equal('jpeg');
+        });
+
+        it('should fall back to the given default format', () => {
+            const options = imageProcessor.parseTransform({ w: '100' }, { format: 'png' });
+
+            expect(options.format).to.equal('png');
+        });
+
+        it('should parse encoder options', () => {
+            const options = imageProcessor.parseTransform({ fm: 'avif', effort: '6', lossless: '1', chroma: '444' });
+
+            expect(options.effort).to.equal(6);
+            expect(options.lossless).to.be.true;
+            expect(options.chromaSubsampling).to.equal('4:4:4');
+        });
+
+        it('should reject invalid options with status 400', () => {
+            const invalidQueries = [{ w: '0' }, { w: '99999' }, { fit: 'stretch' }, { q: 'high' }, { fm: 'bmp' }];
+
+            invalidQueries.forEach((query) => {
+                expect(() => imageProcessor.parseTransform(query))
+                    .to.throw()
+                    .with.property('status', 400);
+            });
+        });
+    });
+
+    describe('#negotiateFormat', () => {
+        it('should prefer AVIF, then WebP', () => {
+            expect(imageProcessor.negotiateFormat('image/avif,image/webp,*/*')).to.equal('avif');
+            expect(imageProcessor.negotiateFormat('image/webp,*/*')).to.equal('webp');
+        });
+
+        it('should skip formats refused with q=0', () => {
+            expect(imageProcessor.negotiateFormat('image/avif;q=0,image/webp')).to.equal('webp');
+        });
+
+        it('should fall back to PNG for alpha and JPEG otherwise', () => {
+            expect(imageProcessor.negotiateFormat('*/*', true)).to.equal('png');
+            expect(imageProcessor.negotiateFormat('*/*', false)).to.equal('jpeg');
+            expect(imageProcessor.negotiateFormat(undefined)).to.equal('jpeg');
+        });
+    });
+
+    describe('#variantKey', () => {
+        it('should include every option that changes the output', () => {
+            const options = imageProcessor.parseTransform({
+                w: '200', h: '100', fit: 'cover', crop: 'attention', q: '70', fm: 'webp'
+            });
+
+            expect(imageProcessor.variantKey('abc', options))
+                .to.equal('abc/200x100_cover_attention_q70.webp');
+        });
+
+        it('should append encoder options only when given', () => {
+            const options = imageProcessor.parseTransform({ w: '200', fm: 'avif', effort: '9', chroma: '4:4:4' });
+
+            expect(imageProcessor.variantKey('abc', options))
+                .to.equal('abc/200xauto_inside_center_q85_e9_c444.avif');
+        });
+    });
+
+    describe('#detectOutputFormats', () => {
+        it('should only keep encoders that work in this libvips build', async () => {
+            const formats = await imageProcessor.ready;
+
+            expect(formats).to.include.members(['jpeg', 'png', 'webp']);
+            expect(imageProcessor.outputFormats).to.deep.equal(formats);
+        });
+    });
+
+    describe('#hasTransform', () => {
+        it('should ignore unrelated query parameters', () => {
+            expect(imageProcessor.hasTransform({ delivery: 'redirect' })).to.be.false;
+            expect(imageProcessor.hasTransform({ w: '10' })).to.be.true;
+        });
+    });
+
+    describe('#canProcess', () => {
+        it('should accept image types sharp can decode', () => {
+            expect(imageProcessor.canProcess('image/jpeg')).to.be.true;
+            expect(imageProcessor.canProcess('image/svg+xml')).to.be.true;
+            expect(imageProcessor.canProcess('IMAGE/PNG; charset=binary')).to.be.true;
+        });
+
+        it('should reject other files', () => {
+            expect(imageProcessor.canProcess('application/pdf')).to.be.false;
+            expect(imageProcessor.canProcess('image/x-icon')).to.be.false;
+            expect(imageProcessor.canProcess(undefined)).to.be.false;
+        });
+    });
+});
@@ -0,0 +1,216 @@
+const { expect } = require('chai');
+const { Readable } = require('stream');
+
+const config = require('../../src/config');
+const storage = require('../../src/storage/StorageManager');
+const imageCatalog = require('../../src/services/imageCatalog');
+const imageVersions = require('../../src/services/imageVersions');
+
+describe('ImageVersions Unit Tests', () => {
+    const stubbed = ['replace', 'versions', 'deleteVersion'];
+    const originals = {
+        catalog: Object.fromEntries(stubbed.map((name) => [name, imageCatalog[name]])),
+        storage: config.storage,
+    };
+
+    let current;
+    let versions;
+    let files;
+    let written;
+    let failWrites;
+
+    const image = (overrides = {}) => ({
+        id: 'img-1',
+        disk: 'versions-test',
+        path: 'images/2026/img-1.jpg',
+        filename: 'img-1.jpg',
+        version: 1,
+        etag: 'etag-1',
+        ...overrides,
+    });
+
+    // Write a new original the way the routes do, then commit it
+    const replace = async (from, contents, replacedBy = 'u1') => {
+        const { filename, path: filePath } = imageVersions.path(from, '.jpg');
+        files.set(filePath, contents);
+        return await imageVersions.commit(from, { path: filePath, filename, etag: `etag-${contents}` }, replacedBy);
+    };
+
+    beforeEach(() => {
+        current = image();
+        versions = [];
+        files = new Map([['images/2026/img-1.jpg', 'v1']]);
+        written = [];
+        failWrites = false;
+
+        config.storage = {
+            ...originals.storage,
+            versions: 2,
+            disks: { ...originals.storage.disks, 'versions-test': { driver: 'local' } },
+        };
+        storage.disks['versions-test'] = {
+            readStream: async (filePath) => Readable.from([Buffer.from(files.get(filePath))]),
+            writeStream: async (filePath, stream, options) => {
+                const chunks = [];
+                for await (const chunk of stream) {
+                    chunks.push(chunk);
+                    files.set(filePath, Buffer.concat(chunks).toString());
+                    if (failWrites) {
+                        throw new Error('connection reset');
+                    }
+                }
+                written.push({ path: filePath, ...options });
+                return true;
+            },
+            delete: async (filePath) => {
+                if (!files.delete(filePath)) {
+                    throw new Error(`${filePath} not found`);
+                }
+                return true;
+            },
+        };
+
+        // Archives the current original unless another request got there first
+        imageCatalog.replace = async (from, changes, replacedBy) => {
+            if (from.version !== current.version) {
+                const conflict = new Error('Image was modified concurrently');
+                conflict.status = 409;
+                throw conflict;
+            }
+            versions.unshift({ ...from, replacedBy });
+            current = { ...from, ...changes, version: from.version + 1 };
+            return current;
+        };
+        imageCatalog.versions = async () => [...versions];
+        imageCatalog.deleteVersion = async (id, version) => {
+            versions = versions.filter((found) => found.version !== version);
+            return true;
+        };
+    });
+
+    afterEach(() => {
+        Object.assign(imageCatalog, originals.catalog);
+        config.storage = originals.storage;
+        delete storage.disks['versions-test'];
+    });
+
+    describe('#path', () => {
+        it('should name the next version next to the current original', () => {
+            const { filename, path: filePath } = imageVersions.path(image(), '.png');
+
+            expect(filename).to.match(/^img-1-v2-[0-9a-f]{8}\.png$/);
+            expect(filePath).to.equal(`images/2026/${filename}`);
+        });
+
+        it('should give every write its own path', () => {
+            expect(imageVersions.path(image(), '.jpg').path).to.not.equal(imageVersions.path(image(), '.jpg').path);
+        });
+    });
+
+    describe('#commit', () => {
+        it('should keep the id and make the previous original a version', async () => {
+            const replaced = await replace(current, 'v2');
+
+            expect(replaced.id).to.equal('img-1');
+            expect(replaced.version).to.equal(2);
+            expect(replaced.etag).to.equal('etag-v2');
+            expect(files.get(replaced.path)).to.equal('v2');
+            expect(versions).to.have.length(1);
+            expect(versions[0]).to.include({
+                version: 1, path: 'images/2026/img-1.jpg', etag: 'etag-1', replacedBy: 'u1',
+            });
+            expect(files.get('images/2026/img-1.jpg')).to.equal('v1');
+        });
+
+        it('should delete only its own file when another replacement won', async () => {
+            const stale = current;
+            const winner = await replace(current, 'v2');
+
+            let error;
+            try {
+                await replace(stale, 'v2-late');
+            } catch (caught) {
+                error = caught;
+            }
+
+            expect(error.status).to.equal(409);
+            expect(current).to.equal(winner);
+            expect([...files.values()].sort()).to.deep.equal(['v1', 'v2']);
+            expect(versions).to.have.length(1);
+        });
+    });
+
+    describe('#restore', () => {
+        it('should copy a previous original into a new version and keep the history', async () => {
+            await replace(current, 'v2');
+            const [first] = versions;
+
+            const restored = await imageVersions.restore(current, { ...first, mimetype: 'image/jpeg' }, 'u2');
+
+            expect(restored.version).to.equal(3);
+            expect(restored.path).to.match(/^images\/2026\/img-1-v3-[0-9a-f]{8}\.jpg$/);
+            expect(restored.etag).to.equal('etag-1');
+            expect(files.get(restored.path)).to.equal('v1');
+            expect(written).to.deep.equal([{ path: restored.path, contentType: 'image/jpeg', acl: 'public-read' }]);
+            expect(versions.map((version) => [version.version, version.replacedBy]))
+                .to.deep.equal([[2, 'u2'], [1, 'u1']]);
+        });
+
+        it('should write the copy of a private image privately', async () => {
+            current = image({ visibility: 'private' });
+            await replace(current, 'v2');
+
+            await imageVersions.restore(current, versions[0], 'u1');
+
+            expect(written[0].acl).to.equal('private');
+        });
+
+        it('should delete a partial copy and leave the image unchanged', async () => {
+            await replace(current, 'v2');
+            const before = current;
+            failWrites = true;
+
+            let error;
+            try {
+                await imageVersions.restore(current, versions[0], 'u1');
+            } catch (caught) {
+                error = caught;
+            }
+
+            expect(error.message).to.equal('connection reset');
+            expect(current).to.equal(before);
+            expect([...files.values()].sort()).to.deep.equal(['v1', 'v2']);
+        });
+    });
+
+    describe('#prune', () => {
+        it('should keep the retention count of the disk and delete older versions', async () => {
+            await replace(current, 'v2');
+            await replace(current, 'v3');
+            await replace(current, 'v4');
+
+            expect(current.version).to.equal(4);
+            expect(versions.map((version) => version.version)).to.deep.equal([3, 2]);
+            expect([...files.values()].sort()).to.deep.equal(['v2', 'v3', 'v4']);
+        });
+
+        it('should prefer the retention count configured on the disk', async () => {
+            config.storage.disks['versions-test'].versions = 0;
+
+            await replace(current, 'v2');
+
+            expect(imageVersions.retention('versions-test')).to.equal(0);
+            expect(versions).to.have.length(0);
+            expect([...files.values()]).to.deep.equal(['v2']);
+        });
+
+        it('should forget versions whose file is already gone', async () => {
+            await replace(current, 'v2');
+            files.delete('images/2026/img-1.jpg');
+            config.storage.versions = 0;
+
+            expect(await imageVersions.prune(current)).to.equal(1);
+            expect(versions).to.have.length(0);
+        });
+    });
+});
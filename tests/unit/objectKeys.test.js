@@ -0,0 +1,183 @@
+const { expect } = require('chai');
+
+const config = require('../../src/config');
+const objectKeys = require('../../src/services/objectKeys');
+
+describe('ObjectKeys Unit Tests', () => {
+    const original = config.storage;
+
+    beforeEach(() => {
+        config.storage = {
+            ...original,
+            pathTemplate: '{uuid}{ext}',
+            disks: { s3: { driver: 's3', pathTemplate: '{tenant}/{yyyy}/{mm}/{uuid}' } },
+        };
+    });
+
+    afterEach(() => {
+        config.storage = original;
+    });
+
+    const values = {
+        uuid: '0f8fad5b-d9cb-469f-a165-70867728950e',
+        ext: '.jpg',
+        originalName: 'Çiçek Bahçesi (2).JPG',
+        tenant: 'acme',
+        ownerId: 'u1',
+        date: new Date('2026-03-05T10:00:00Z'),
+    };
+
+    describe('#slug', () => {
+        it('should transliterate, lowercase and drop the extension', () => {
+            expect(objectKeys.slug('Çiçek Bahçesi (2).JPG')).to.equal('cicek-bahcesi-2');
+            expect(objectKeys.slug('Işık ve Straße.png')).to.equal('isik-ve-strasse');
+        });
+
+        it('should fall back for names without usable characters', () => {
+            expect(objectKeys.slug('.png')).to.equal('file');
+            expect(objectKeys.slug('日本.jpg')).to.equal('file');
+        });
+
+        it('should keep slugs short', () => {
+            expect(objectKeys.slug(`${'a'.repeat(100)}.jpg`)).to.have.lengthOf(48);
+        });
+    });
+
+    describe('#parseTemplate', () => {
+        it('should append {ext} when it is missing', () => {
+            expect(objectKeys.parseTemplate('/{tenant}/{uuid}/')).to.equal('{tenant}/{uuid}{ext}');
+            expect(objectKeys.parseTemplate('')).to.be.null;
+        });
+
+        it('should reject unknown placeholders and templates without a unique part', () => {
+            expect(() => objectKeys.parseTemplate('{project}/{uuid}')).to.throw('Unknown path placeholder {project}');
+            expect(() => objectKeys.parseTemplate('{yyyy}/{mm}')).to.throw('{uuid} or {slug}');
+        });
+
+        it('should use the template of the disk, then the default', () => {
+            expect(objectKeys.templateFor('s3')).to.equal('{tenant}/{yyyy}/{mm}/{uuid}{ext}');
+            expect(objectKeys.templateFor('local')).to.equal('{uuid}{ext}');
+        });
+    });
+
+    describe('#render', () => {
+        it('should fill in the placeholders', () => {
+            expect(objectKeys.render('{tenant}/{yyyy}/{mm}/{dd}/{slug}{ext}', values))
+                .to.equal('acme/2026/03/05/cicek-bahcesi-2.jpg');
+            expect(objectKeys.render('{user}/{uuid}{ext}', values))
+                .to.equal('u1/0f8fad5b-d9cb-469f-a165-70867728950e.jpg');
+        });
+
+        it('should render an empty extension for types without one', () => {
+            expect(objectKeys.render('{uuid}{ext}', { ...values, ext: '' }))
+                .to.equal('0f8fad5b-d9cb-469f-a165-70867728950e');
+            expect(objectKeys.render('{yyyy}/{slug}{ext}', { ...values, ext: undefined }))
+                .to.equal('2026/cicek-bahcesi-2');
+        });
+
+        it('should reject missing values and unsafe segments', () => {
+            expect(() => objectKeys.render('{tenant}/{uuid}{ext}', { ...values, tenant: undefined }))
+                .to.throw('needs a value for {tenant}');
+            expect(() => objectKeys.render('{tenant}/{uuid}{ext}', { ...values, tenant: '..' }))
+                .to.throw('is not valid');
+            expect(() => objectKeys.render('{tenant}/{uuid}{ext}', { ...values, tenant: 'a/b' }))
+                .to.throw('must not contain "/"');
+        });
+    });
+
+    describe('#resolve', () => {
+        it('should prefix the directory and folder', async () => {
+            const key = await objectKeys.resolve(async () => false, {
+                directory: 'images', folder: 'gallery/2026', template: '{uuid}{ext}', ...values,
+            });
+
+            expect(key).to.equal('images/gallery/2026/0f8fad5b-d9cb-469f-a165-70867728950e.jpg');
+        });
+
+        it('should suffix keys that are taken', async () => {
+            const taken = new Set(['images/cicek-bahcesi-2.jpg', 'images/cicek-bahcesi-2-2.jpg']);
+            const reserve = async (key) => !taken.has(key);
+
+            expect(await objectKeys.resolve(reserve, { directory: 'images', template: '{slug}{ext}', ...values }))
+                .to.equal('images/cicek-bahcesi-2-3.jpg');
+        });
+
+        it('should give concurrent uploads of the same name different keys', async () => {
+            const reserved = new Set();
+            const reserve = async (key) => {
+                await new Promise((resolve) => setImmediate(resolve));
+                if (reserved.has(key)) {
+                    return false;
+                }
+                reserved.add(key);
+                return true;
+            };
+            const options = { directory: 'images', template: '{slug}{ext}', ...values };
+
+            const keys = await Promise.all([1, 2, 3].map(() => objectKeys.resolve(reserve, options)));
+
+            expect(new Set(keys).size).to.equal(3);
+        });
+
+        it('should fall back to part of the uuid', async () => {
+            expect(await objectKeys.resolve(async (key) => key.includes('0f8fad5b'), {
+                directory: 'images', template: '{slug}{ext}', ...values,
+            })).to.equal('images/cicek-bahcesi-2-0f8fad5b.jpg');
+        });
+
+        it('should reserve the full uuid key when part of it is taken', async () => {
+            const reserved = [];
+            const reserve = async (key) => {
+                reserved.push(key);
+                return key.includes('0f8fad5b-d9cb');
+            };
+
+            expect(await objectKeys.resolve(reserve, { directory: 'images', template: '{slug}{ext}', ...values }))
+                .to.equal('images/cicek-bahcesi-2-0f8fad5b-d9cb-469f-a165-70867728950e.jpg');
+            expect(reserved).to.have.length(12);
+        });
+
+        it('should answer 409 when every key is taken', async () => {
+            try {
+                await objectKeys.resolve(async () => false, {
+                    directory: 'images', template: '{slug}{ext}', ...values,
+                });
+                expect.fail('Should have thrown');
+            } catch (error) {
+                expect(error.status).to.equal(409);
+            }
+        });
+
+        it('should reject folders that leave the directory', async () => {
+            try {
+                await objectKeys.resolve(async () => true, {
+                    directory: 'images', folder: '../etc', template: '{uuid}{ext}', ...values,
+                });
+                expect.fail('Should have thrown');
+            } catch (error) {
+                expect(error.status).to.equal(400);
+            }
+        });
+    });
+
+    describe('#scope', () => {
+        it('should fill in the folder of a user', () => {
+            expect(objectKeys.scope('/images/{tenant}/{user}/', { tenant: 'acme', ownerId: 'u1' }))
+                .to.equal('images/acme/u1');
+        });
+
+        it('should give no scope without a template or a value for it', () => {
+            expect(objectKeys.scope('', { ownerId: 'u1' })).to.be.null;
+            expect(objectKeys.scope('images/{tenant}', { ownerId: 'u1' })).to.be.null;
+            expect(objectKeys.scope('images/{user}', { ownerId: '../u2' })).to.be.null;
+        });
+
+        it('should only accept the scope folder and the folders below it', () => {
+            expect(objectKeys.inScope('images/u1', 'images/u1')).to.be.true;
+            expect(objectKeys.inScope('/images/u1/2026/', 'images/u1')).to.be.true;
+            expect(objectKeys.inScope('images/u10', 'images/u1')).to.be.false;
+            expect(objectKeys.inScope('images', 'images/u1')).to.be.false;
+            expect(objectKeys.inScope('', 'images/u1')).to.be.false;
+        });
+    });
+});
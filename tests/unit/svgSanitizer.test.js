@@ -0,0 +1,71 @@
+const { expect } = require('chai');
+
+const svgSanitizer = require('../../src/services/svgSanitizer');
+
+const clean = (svg) => svgSanitizer.sanitize(Buffer.from(svg)).toString();
+
+describe('SvgSanitizer Unit Tests', () => {
+    describe('#sanitize', () => {
+        it('should keep drawing elements and attributes', () => {
+            const svg = clean('<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 10 10"><rect width="10" height="10" fill="url(#g)"/></svg>');
+
+            expect(svg).to.include('<rect width="10" height="10" fill="url(#g)"/>');
+            expect(svg).to.include('viewBox="0 0 10 10"');
+        });
+
+        it('should remove scripts, foreign objects and event handlers', () => {
+            const svg = clean('<svg onload="alert(1)"><script>alert(2)</script>'
+                + '<foreignObject><p>x</p></foreignObject><g onclick="x()"/></svg>');
+
+            expect(svg).not.to.match(/script|foreignObject|onload|onclick|alert/);
+        });
+
+        it('should remove external references', () => {
+            const svg = clean(
+                '<svg xmlns:xlink="http://www.w3.org/1999/xlink">'
+                + '<use href="https://evil.example/a.svg#x"/><a xlink:href="javascript:alert(1)"/>'
+                + '<rect fill="url(https://evil.example/p)"/><image href="https://evil.example/i.png"/>'
+                + '<style>@import url(https://evil.example/a.css); rect { fill: url("https://evil.example/x") }</style>'
+                + '</svg>'
+            );
+
+            expect(svg).not.to.include('evil.example');
+            expect(svg).not.to.include('javascript');
+        });
+
+        it('should remove links under any prefix and with encoded schemes', () => {
+            const svg = clean(
+                '<svg xmlns:xl="http://www.w3.org/1999/xlink">'
+                + '<a xl:href="&#106;avascript:alert(1)"><rect/></a>'
+                + '<a href="java&#x09;script:alert(2)"/><a href=" &#x0A;javascript:alert(3)"/>'
+                + '<animate attributeName="xl:href" to="&#106;avascript:alert(4)"/>'
+                + '</svg>'
+            );
+
+            expect(svg).not.to.match(/href|alert|animate/);
+            expect(svg).to.include('<rect/>');
+        });
+
+        it('should keep fragment links and embedded raster images', () => {
+            const svg = clean('<svg><use href="#shape"/><image href="data:image/png;base64,iVBORw0KGgo="/>'
+                + '<rect style="fill: url(\'#g\')"/></svg>');
+
+            expect(svg).to.include('href="#shape"');
+            expect(svg).to.include('data:image/png;base64');
+            expect(svg).to.include('fill: url(&apos;#g&apos;)');
+        });
+
+        it('should drop DOCTYPE entities and animations that rewrite links', () => {
+            const svg = clean('<!DOCTYPE svg [<!ENTITY x "boom">]><svg><text>&x;</text>'
+                + '<animate attributeName="href" to="javascript:alert(1)"/></svg>');
+
+            expect(svg).not.to.match(/DOCTYPE|ENTITY|animate|boom/);
+            expect(svg).to.include('&amp;x;');
+        });
+
+        it('should reject documents that are not SVG', () => {
+            expect(() => clean('<html><body/></html>')).to.throw().with.property('status', 422);
+            expect(() => clean('<svg><g></svg>')).to.throw().with.property('status', 422);
+        });
+    });
+});
@@ -0,0 +1,123 @@
+const { expect } = require('chai');
+
+const storage = require('../../src/storage/StorageManager');
+const imageCatalog = require('../../src/services/imageCatalog');
+const cachePurge = require('../../src/services/cachePurge');
+const trash = require('../../src/services/trash');
+
+describe('Trash Unit Tests', () => {
+    const stubbed = {
+        catalog: ['versions', 'trash', 'findTrashed', 'restore', 'trashed', 'delete'],
+        purge: ['image'],
+    };
+    const originals = {
+        catalog: Object.fromEntries(stubbed.catalog.map((name) => [name, imageCatalog[name]])),
+        purge: Object.fromEntries(stubbed.purge.map((name) => [name, cachePurge[name]])),
+    };
+
+    let images;
+    let files;
+    let purged;
+
+    const image = (overrides = {}) => ({
+        id: 'img-1', disk: 'trash-test', path: 'images/img-1-v2.jpg', visibility: 'public', ...overrides,
+    });
+
+    beforeEach(() => {
+        images = new Map([['img-1', image()]]);
+        files = new Map([
+            ['images/img-1-v2.jpg', 'public'],
+            ['images/img-1.jpg', 'public'],
+        ]);
+        purged = [];
+
+        storage.disks['trash-test'] = {
+            setVisibility: async (filePath, visibility) => files.set(filePath, visibility),
+            delete: async (filePath) => files.delete(filePath),
+        };
+
+        imageCatalog.versions = async () => [{ version: 1, disk: 'trash-test', path: 'images/img-1.jpg' }];
+        imageCatalog.trash = async (id, deletedBy) => {
+            const found = images.get(id);
+            if (!found || found.deletedAt) {
+                return false;
+            }
+            images.set(id, { ...found, deletedAt: new Date(), deletedBy });
+            return true;
+        };
+        imageCatalog.findTrashed = async (id) => images.get(id);
+        imageCatalog.restore = async (id) => {
+            images.set(id, { ...images.get(id), deletedAt: null, deletedBy: null });
+            return images.get(id);
+        };
+        imageCatalog.trashed = async ({ deletedBefore }) => [...images.values()]
+            .filter((found) => found.deletedAt && found.deletedAt < deletedBefore);
+        imageCatalog.delete = async (id) => images.delete(id);
+        cachePurge.image = async (found) => {
+            purged.push(found.id);
+            return { variants: 2, upstream: true };
+        };
+    });
+
+    afterEach(() => {
+        Object.assign(imageCatalog, originals.catalog);
+        Object.assign(cachePurge, originals.purge);
+        delete storage.disks['trash-test'];
+    });
+
+    describe('#trash', () => {
+        it('should make the original and its versions private and purge the cache', async () => {
+            const trashed = await trash.trash(image(), 'u1');
+
+            expect(trashed.deletedBy).to.equal('u1');
+            expect([...files.values()]).to.deep.equal(['private', 'private']);
+            expect(purged).to.deep.equal(['img-1']);
+        });
+
+        it('should resolve null for images that are already trashed', async () => {
+            await trash.trash(image(), 'u1');
+
+            expect(await trash.trash(image(), 'u2')).to.be.null;
+            expect(purged).to.have.length(1);
+        });
+    });
+
+    describe('#restore', () => {
+        it('should give public images their public files back', async () => {
+            await trash.trash(image(), 'u1');
+            const restored = await trash.restore(image());
+
+            expect(restored.deletedAt).to.be.null;
+            expect([...files.values()]).to.deep.equal(['public', 'public']);
+        });
+
+        it('should keep the files of private images private', async () => {
+            images.set('img-1', image({ visibility: 'private' }));
+            await trash.trash(image({ visibility: 'private' }), 'u1');
+            await trash.restore(image({ visibility: 'private' }));
+
+            expect([...files.values()]).to.deep.equal(['private', 'private']);
+        });
+    });
+
+    describe('#purgeExpired', () => {
+        it('should destroy only images past the retention period', async () => {
+            const old = new Date(Date.now() - (trash.retentionDays + 1) * 24 * 60 * 60 * 1000);
+            images.set('img-1', image({ deletedAt: old }));
+            images.set('img-2', image({ id: 'img-2', path: 'images/img-2.jpg', deletedAt: new Date() }));
+            files.set('images/img-2.jpg', 'private');
+
+            expect(await trash.purgeExpired()).to.equal(1);
+            expect([...images.keys()]).to.deep.equal(['img-2']);
+            expect([...files.keys()]).to.deep.equal(['images/img-2.jpg']);
+            expect(purged).to.deep.equal(['img-1']);
+        });
+
+        it('should purge an image at the end of its retention period', () => {
+            const deletedAt = new Date('2026-01-01T00:00:00Z');
+            const purgeAt = trash.purgeAt({ deletedAt });
+
+            expect(purgeAt.getTime() - deletedAt.getTime()).to.equal(trash.retentionDays * 24 * 60 * 60 * 1000);
+        });
+    });
+});
@@ -0,0 +1,116 @@
+const { expect } = require('chai');
+const express = require('express');
+const http = require('http');
+
+const resumableUploads = require('../../src/services/resumableUploads');
+const {
+    TUS_VERSION, tusProtocol, loadUpload, checkUploadOffset, sendUploadStatus, terminateUpload
+} = require('../../src/middleware/tus');
+
+describe('tus Protocol Unit Tests', () => {
+    const { find, terminate } = resumableUploads;
+    let server;
+    let uploads;
+    let appended;
+
+    const send = (method, path, headers = {}, body = '') => new Promise((resolve, reject) => {
+        const req = http.request({ port: server.address().port, method, path, headers }, (res) => {
+            let text = '';
+            res.on('data', (chunk) => { text += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, text }));
+        });
+        req.on('error', reject);
+        req.end(body);
+    });
+
+    const tus = { 'Tus-Resumable': TUS_VERSION };
+    const chunk = { ...tus, 'Content-Type': 'application/offset+octet-stream' };
+
+    beforeEach((done) => {
+        uploads = new Map([['up-1', {
+            id: 'up-1',
+            ownerId: 'u1',
+            length: 10,
+            offset: 4,
+            metadata: { filename: 'a.jpg' },
+            fileId: null,
+            expiresAt: new Date(Date.now() + 60000),
+        }]]);
+        appended = [];
+
+        resumableUploads.find = async (id) => uploads.get(id) || null;
+        resumableUploads.terminate = async (upload) => uploads.delete(upload.id);
+
+        const app = express();
+        app.use('/tus', tusProtocol);
+        app.use((req, res, next) => {
+            req.userId = req.get('X-User') || 'u1';
+            next();
+        });
+        app.head('/tus/:id', loadUpload, sendUploadStatus);
+        app.patch('/tus/:id', loadUpload, checkUploadOffset, (req, res) => {
+            appended.push(req.upload.id);
+            res.status(204).end();
+        });
+        app.delete('/tus/:id', loadUpload, terminateUpload);
+        server = app.listen(0, done);
+    });
+
+    afterEach((done) => {
+        resumableUploads.find = find;
+        resumableUploads.terminate = terminate;
+        server.close(done);
+    });
+
+    it('should require the supported protocol version', async () => {
+        const response = await send('HEAD', '/tus/up-1', { 'Tus-Resumable': '0.2.2' });
+
+        expect(response.status).to.equal(412);
+        expect(response.headers['tus-version']).to.equal(TUS_VERSION);
+    });
+
+    it('should report the offset, length and metadata on HEAD', async () => {
+        const response = await send('HEAD', '/tus/up-1', tus);
+
+        expect(response.status).to.equal(200);
+        expect(response.headers['upload-offset']).to.equal('4');
+        expect(response.headers['upload-length']).to.equal('10');
+        expect(response.headers['upload-metadata']).to.equal(`filename ${Buffer.from('a.jpg').toString('base64')}`);
+        expect(response.headers['cache-control']).to.equal('no-store');
+        expect(response.headers).to.have.property('upload-expires');
+    });
+
+    it('should answer 409 with the current offset when Upload-Offset does not match', async () => {
+        const response = await send('PATCH', '/tus/up-1', { ...chunk, 'Upload-Offset': '0' }, 'abcd');
+
+        expect(response.status).to.equal(409);
+        expect(response.headers['upload-offset']).to.equal('4');
+        expect(appended).to.be.empty;
+    });
+
+    it('should accept chunks sent from the current offset only as offset streams', async () => {
+        const wrongType = await send('PATCH', '/tus/up-1', { ...tus, 'Upload-Offset': '4' }, 'efgh');
+        const accepted = await send('PATCH', '/tus/up-1', { ...chunk, 'Upload-Offset': '4' }, 'efgh');
+
+        expect(wrongType.status).to.equal(415);
+        expect(accepted.status).to.equal(204);
+        expect(appended).to.deep.equal(['up-1']);
+    });
+
+    it('should terminate uploads, also through X-HTTP-Method-Override', async () => {
+        const other = await send('DELETE', '/tus/up-1', { ...tus, 'X-User': 'u2' });
+        const terminated = await send('POST', '/tus/up-1', { ...tus, 'X-HTTP-Method-Override': 'DELETE' });
+        const gone = await send('HEAD', '/tus/up-1', tus);
+
+        expect(other.status).to.equal(403);
+        expect(terminated.status).to.equal(204);
+        expect(gone.status).to.equal(404);
+    });
+
+    it('should answer 410 for expired uploads and drop them', async () => {
+        uploads.get('up-1').expiresAt = new Date(Date.now() - 1000);
+
+        expect((await send('HEAD', '/tus/up-1', tus)).status).to.equal(410);
+        expect(uploads.has('up-1')).to.be.false;
+    });
+});